@@ -0,0 +1,130 @@
+// ============= TILE ATTACHMENT STORAGE =============
+// Evidence files (photos, PDFs) attached to completed tiles are kept on local disk next to the
+// database (so they land on the persistent volume in production), with JPEG thumbnails for images.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const { dataDir } = require('./database');
+
+const uploadDir = path.join(dataDir, 'uploads');
+const thumbnailDir = path.join(uploadDir, 'thumbnails');
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_ATTACHMENT_BYTES) || 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_TILE = 10;
+const THUMBNAIL_SIZE = 320;
+
+// Allowed file types, recognised by their leading bytes (the client's MIME type isn't trusted)
+const FILE_TYPES = [
+    {
+        mimeType: 'image/jpeg',
+        extension: '.jpg',
+        matches: buffer => buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF
+    },
+    {
+        mimeType: 'image/png',
+        extension: '.png',
+        matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))
+    },
+    {
+        mimeType: 'image/gif',
+        extension: '.gif',
+        matches: buffer => buffer.subarray(0, 4).toString('ascii') === 'GIF8'
+    },
+    {
+        mimeType: 'image/webp',
+        extension: '.webp',
+        matches: buffer => buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP'
+    },
+    {
+        mimeType: 'application/pdf',
+        extension: '.pdf',
+        matches: buffer => buffer.subarray(0, 5).toString('ascii') === '%PDF-'
+    }
+];
+
+// Ensure upload directories exist
+try {
+    fs.mkdirSync(thumbnailDir, { recursive: true });
+    console.log('📁 Upload directory:', uploadDir);
+} catch (err) {
+    console.error('❌ Failed to create upload directory:', err.message);
+}
+
+// Multer keeps the upload in memory so its contents can be checked before anything touches disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }
+});
+
+// Detect an allowed file type from the file's contents (null if not allowed)
+function detectFileType(buffer) {
+    return FILE_TYPES.find(type => buffer.length >= 12 && type.matches(buffer)) || null;
+}
+
+// Write an uploaded file (and a thumbnail for images) to disk.
+// Returns { storedName, thumbnailName, mimeType } or null if the type isn't allowed.
+async function storeAttachment(buffer) {
+    const fileType = detectFileType(buffer);
+    if (!fileType) {
+        return null;
+    }
+
+    const baseName = crypto.randomBytes(16).toString('hex');
+    const storedName = baseName + fileType.extension;
+    await fs.promises.writeFile(path.join(uploadDir, storedName), buffer);
+
+    let thumbnailName = null;
+    if (fileType.mimeType.startsWith('image/')) {
+        try {
+            thumbnailName = `${baseName}.jpg`;
+            await sharp(buffer)
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: 80 })
+                .toFile(path.join(thumbnailDir, thumbnailName));
+        } catch (error) {
+            // A corrupt image is still kept as uploaded, just without a thumbnail
+            console.error('⚠️  Failed to create thumbnail:', error.message);
+            thumbnailName = null;
+        }
+    }
+
+    return { storedName, thumbnailName, mimeType: fileType.mimeType };
+}
+
+// Remove an attachment's files from disk (missing files are ignored)
+function removeAttachmentFiles(attachment) {
+    const files = [path.join(uploadDir, attachment.stored_name)];
+    if (attachment.thumbnail_name) {
+        files.push(path.join(thumbnailDir, attachment.thumbnail_name));
+    }
+
+    files.forEach(file => {
+        fs.promises.unlink(file).catch(error => {
+            if (error.code !== 'ENOENT') {
+                console.error('⚠️  Failed to remove attachment file:', error.message);
+            }
+        });
+    });
+}
+
+function getAttachmentPath(attachment) {
+    return path.join(uploadDir, attachment.stored_name);
+}
+
+function getThumbnailPath(attachment) {
+    return attachment.thumbnail_name ? path.join(thumbnailDir, attachment.thumbnail_name) : null;
+}
+
+module.exports = {
+    MAX_ATTACHMENT_BYTES,
+    MAX_ATTACHMENTS_PER_TILE,
+    upload,
+    storeAttachment,
+    removeAttachmentFiles,
+    getAttachmentPath,
+    getThumbnailPath
+};
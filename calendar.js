@@ -0,0 +1,107 @@
+// ============= ICALENDAR FEED =============
+// Builds an iCalendar (RFC 5545) document from a user's cards: an all-day event on each open
+// tile's due date, and a short event when each tile was completed.
+
+const PRODUCT_ID = '-//Bingo Card Server//Tile Calendar//EN';
+const UID_DOMAIN = 'bingo-card-server';
+const COMPLETION_EVENT_MINUTES = 30;
+
+// Escape a TEXT value (backslash, semicolon, comma and line breaks)
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line to at most 75 octets per line, continuing with a leading space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = char;
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatDate(dateString) {
+    return dateString.replace(/-/g, '');
+}
+
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(dateString) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+// Build the calendar for a user's card rows
+function buildCalendar(user, cards) {
+    const stamp = formatDateTime(new Date());
+    const events = [];
+
+    cards.forEach(card => {
+        const grid = JSON.parse(card.grid_data);
+        const completed = JSON.parse(card.completed_data);
+        const cardName = card.title || `Bingo card ${card.year || ''}`.trim();
+
+        grid.forEach((rowValues, row) => (Array.isArray(rowValues) ? rowValues : []).forEach((cell, col) => {
+            if (!cell || (typeof cell === 'object' && cell.type === 'free')) return;
+            const text = (typeof cell === 'object' ? cell.text : cell) || 'Untitled tile';
+            const value = completed[row] && completed[row][col];
+
+            if (!value && cell.dueDate) {
+                events.push([
+                    `UID:due-${card.id}-${row}-${col}@${UID_DOMAIN}`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;VALUE=DATE:${formatDate(cell.dueDate)}`,
+                    `DTEND;VALUE=DATE:${formatDate(nextDay(cell.dueDate))}`,
+                    `SUMMARY:${escapeText(`Due: ${text}`)}`,
+                    `DESCRIPTION:${escapeText(`Tile on ${cardName}`)}`,
+                    'TRANSP:TRANSPARENT'
+                ]);
+            }
+
+            if (value && value.completedAt && !isNaN(Date.parse(value.completedAt))) {
+                const start = new Date(value.completedAt);
+                events.push([
+                    `UID:done-${card.id}-${row}-${col}@${UID_DOMAIN}`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART:${formatDateTime(start)}`,
+                    `DTEND:${formatDateTime(new Date(start.getTime() + COMPLETION_EVENT_MINUTES * 60 * 1000))}`,
+                    `SUMMARY:${escapeText(`Completed: ${text}`)}`,
+                    `DESCRIPTION:${escapeText(`Tile on ${cardName}`)}`,
+                    'TRANSP:TRANSPARENT'
+                ]);
+            }
+        }));
+    });
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`${user.name}'s bingo tiles`)}`,
+        ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar
+};
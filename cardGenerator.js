@@ -0,0 +1,178 @@
+// ============= CARD GENERATOR =============
+// Builds bingo grids from a task list on the server, so every client (web, mobile, scripts)
+// gets the same layout for the same tasks, size, options and seed.
+
+const FREE_SPACE_TEXT = 'FREE';
+
+// Hash a seed (number or string) into a 32-bit integer
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1)
+function createRng(seed) {
+    let state = hashSeed(seed);
+    return function next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Random seed for callers that don't provide one (returned so the layout can be reproduced)
+function randomSeed() {
+    return Math.floor(Math.random() * 2147483647).toString(36);
+}
+
+// Fisher-Yates shuffle into a new array
+function shuffle(items, rng = Math.random) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Shuffle a grid's tiles into a new arrangement; free-space tiles stay where they are
+function shuffleGrid(grid, rng = Math.random) {
+    const positions = [];
+    const tiles = [];
+    grid.forEach((rowValues, row) => rowValues.forEach((cell, col) => {
+        if (!(cell && cell.type === 'free')) {
+            positions.push([row, col]);
+            tiles.push(cell);
+        }
+    }));
+
+    const shuffled = shuffle(tiles, rng);
+    const result = grid.map(rowValues => rowValues.slice());
+    positions.forEach(([row, col], index) => {
+        result[row][col] = shuffled[index];
+    });
+    return result;
+}
+
+// Normalize a task (string or { text, type | category, points, target, unit, dueDate, habit, visibility }) into a grid cell
+function toCell(task) {
+    if (typeof task === 'string') {
+        return { text: task.trim() };
+    }
+    const cell = { text: String(task.text || '').trim() };
+    const type = task.type || task.category;
+    if (type) {
+        cell.type = type;
+    }
+    ['points', 'target', 'unit', 'dueDate', 'habit', 'visibility'].forEach(key => {
+        if (task[key] !== undefined && task[key] !== null) {
+            cell[key] = task[key];
+        }
+    });
+    return cell;
+}
+
+// Place tiles so that tiles of the same category are spread out: each position takes the
+// category with the fewest already-placed neighbours of the same kind (sharing a row or
+// column counts double, since those line up into bingos), preferring the
+// category with the most tiles left so none get bunched up at the end
+function placeBalanced(cells, positions, grid, rng) {
+    const byCategory = new Map();
+    shuffle(cells, rng).forEach(cell => {
+        const key = cell.type || '';
+        if (!byCategory.has(key)) byCategory.set(key, []);
+        byCategory.get(key).push(cell);
+    });
+    const categories = shuffle(Array.from(byCategory.keys()), rng);
+    const size = grid.length;
+
+    positions.forEach(([row, col]) => {
+        let best = null;
+        let bestConflicts = Infinity;
+        let bestRemaining = -1;
+
+        categories.forEach(category => {
+            const remaining = byCategory.get(category).length;
+            if (remaining === 0) return;
+
+            let conflicts = 0;
+            for (const [dr, dc] of [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]) {
+                const r = row + dr;
+                const c = col + dc;
+                if (r < 0 || c < 0 || r >= size || c >= size || !grid[r][c]) continue;
+                if ((grid[r][c].type || '') === category) {
+                    conflicts += dr === 0 || dc === 0 ? 2 : 1;
+                }
+            }
+
+            if (conflicts < bestConflicts || (conflicts === bestConflicts && remaining > bestRemaining)) {
+                best = category;
+                bestConflicts = conflicts;
+                bestRemaining = remaining;
+            }
+        });
+
+        grid[row][col] = byCategory.get(best).pop();
+    });
+}
+
+// Generate a grid (and matching completion grid) from a task list.
+// Options: freeSpace (center tile on odd sizes), balanceCategories, seed.
+// Throws an Error with a `field` property when the task list can't fill the card.
+function generateCard(tasks, size, { freeSpace = false, balanceCategories = false, seed } = {}) {
+    const usedSeed = seed !== undefined && seed !== null && seed !== '' ? String(seed) : randomSeed();
+    const rng = createRng(usedSeed);
+
+    const center = Math.floor(size / 2);
+    const hasFreeSpace = !!freeSpace && size % 2 === 1;
+    const slots = size * size - (hasFreeSpace ? 1 : 0);
+
+    const cells = tasks.map(toCell).filter(cell => cell.text !== '');
+    if (cells.length < slots) {
+        const error = new Error(`At least ${slots} tasks are needed for a ${size}x${size} card`);
+        error.field = 'tasks';
+        throw error;
+    }
+
+    // Extra tasks: pick a (seeded) random subset
+    const chosen = shuffle(cells, rng).slice(0, slots);
+
+    const grid = Array(size).fill(null).map(() => Array(size).fill(null));
+    const completed = Array(size).fill(null).map(() => Array(size).fill(false));
+
+    if (hasFreeSpace) {
+        grid[center][center] = { text: FREE_SPACE_TEXT, type: 'free' };
+        completed[center][center] = true;
+    }
+
+    const positions = [];
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (!grid[row][col]) positions.push([row, col]);
+        }
+    }
+
+    if (balanceCategories) {
+        placeBalanced(chosen, positions, grid, rng);
+    } else {
+        positions.forEach(([row, col], index) => {
+            grid[row][col] = chosen[index];
+        });
+    }
+
+    return { grid, completed, seed: usedSeed };
+}
+
+module.exports = {
+    createRng,
+    shuffle,
+    shuffleGrid,
+    generateCard
+};
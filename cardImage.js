@@ -0,0 +1,149 @@
+// ============= CARD IMAGES =============
+// Server-side rendering of a bingo card as SVG (and PNG via sharp), for sharing in chats.
+// Completed tiles are filled in and tiles that are part of an achieved bingo are highlighted.
+
+const sharp = require('sharp');
+const { DEFAULT_PATTERNS, getAchievedCells } = require('./patterns');
+
+const TILE_SIZE = 140;
+const TILE_GAP = 6;
+const MARGIN = 24;
+const HEADER_HEIGHT = 72;
+const FOOTER_HEIGHT = 40;
+const FONT_SIZE = 14;
+const LINE_HEIGHT = 18;
+const MAX_LINE_CHARS = 16;
+const MAX_LINES = 6;
+
+const COLORS = {
+    background: '#ffffff',
+    text: '#111827',
+    muted: '#6b7280',
+    open: { fill: '#f3f4f6', stroke: '#d1d5db' },
+    completed: { fill: '#bbf7d0', stroke: '#16a34a' },
+    bingo: { fill: '#fde68a', stroke: '#d97706' },
+    free: { fill: '#e0e7ff', stroke: '#6366f1' },
+    check: '#16a34a'
+};
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Word-wrap tile text into at most MAX_LINES lines, ending with an ellipsis when it doesn't fit
+function wrapText(text) {
+    const words = String(text || '').split(/\s+/).filter(Boolean)
+        .flatMap(word => word.match(new RegExp(`.{1,${MAX_LINE_CHARS}}`, 'g')));
+    const lines = [];
+    let line = '';
+
+    for (const word of words) {
+        if (line && (line + ' ' + word).length > MAX_LINE_CHARS) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > MAX_LINES) {
+        const kept = lines.slice(0, MAX_LINES);
+        kept[MAX_LINES - 1] = kept[MAX_LINES - 1].slice(0, MAX_LINE_CHARS - 1) + '…';
+        return kept;
+    }
+    return lines;
+}
+
+function renderTile(cell, x, y, style, completed) {
+    const text = cell && typeof cell === 'object' ? cell.text : cell;
+    const lines = wrapText(text);
+    const centerX = x + TILE_SIZE / 2;
+    const firstLineY = y + TILE_SIZE / 2 - ((lines.length - 1) * LINE_HEIGHT) / 2 + FONT_SIZE / 3;
+
+    const parts = [
+        `<rect x="${x}" y="${y}" width="${TILE_SIZE}" height="${TILE_SIZE}" rx="10" fill="${style.fill}" stroke="${style.stroke}" stroke-width="2"/>`
+    ];
+    if (lines.length > 0) {
+        parts.push(
+            `<text x="${centerX}" text-anchor="middle" font-size="${FONT_SIZE}" fill="${COLORS.text}">`
+            + lines.map((line, index) => `<tspan x="${centerX}" y="${firstLineY + index * LINE_HEIGHT}">${escapeXml(line)}</tspan>`).join('')
+            + '</text>'
+        );
+    }
+    if (completed) {
+        const cx = x + TILE_SIZE - 16;
+        const cy = y + 16;
+        parts.push(
+            `<circle cx="${cx}" cy="${cy}" r="10" fill="${COLORS.check}"/>`
+            + `<path d="M${cx - 5} ${cy} l4 4 l7 -8" fill="none" stroke="#ffffff" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"/>`
+        );
+    }
+    return parts.join('');
+}
+
+// Render a card row as an SVG document.
+// Options: ownerName, patterns (which bingos to highlight), stats ({ tilesCompleted, bingosAchieved }).
+function renderCardSvg(card, { ownerName = '', patterns = DEFAULT_PATTERNS, stats = null } = {}) {
+    const size = card.size;
+    const grid = JSON.parse(card.grid_data);
+    const completed = JSON.parse(card.completed_data);
+    const achievedCells = getAchievedCells(completed, size, patterns);
+
+    const gridSize = size * TILE_SIZE + (size - 1) * TILE_GAP;
+    const width = gridSize + MARGIN * 2;
+    const height = HEADER_HEIGHT + gridSize + FOOTER_HEIGHT + MARGIN;
+
+    const title = card.title || 'Bingo Card';
+    const subtitle = [ownerName, card.year].filter(Boolean).join(' · ');
+
+    const tiles = [];
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const cell = grid[row] && grid[row][col];
+            const isCompleted = !!(completed[row] && completed[row][col]);
+            let style = COLORS.open;
+            if (cell && cell.type === 'free') {
+                style = COLORS.free;
+            } else if (achievedCells.has(`${row},${col}`)) {
+                style = COLORS.bingo;
+            } else if (isCompleted) {
+                style = COLORS.completed;
+            }
+
+            const x = MARGIN + col * (TILE_SIZE + TILE_GAP);
+            const y = HEADER_HEIGHT + row * (TILE_SIZE + TILE_GAP);
+            tiles.push(renderTile(cell, x, y, style, isCompleted && !(cell && cell.type === 'free')));
+        }
+    }
+
+    const footer = stats
+        ? `${stats.tilesCompleted}/${size * size} tiles · ${stats.bingosAchieved} bingo${stats.bingosAchieved === 1 ? '' : 's'}`
+        : '';
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+        `<rect width="${width}" height="${height}" fill="${COLORS.background}"/>`,
+        `<text x="${MARGIN}" y="${MARGIN + 14}" font-size="22" font-weight="bold" fill="${COLORS.text}">${escapeXml(title)}</text>`,
+        subtitle ? `<text x="${MARGIN}" y="${MARGIN + 36}" font-size="14" fill="${COLORS.muted}">${escapeXml(subtitle)}</text>` : '',
+        ...tiles,
+        footer ? `<text x="${MARGIN}" y="${HEADER_HEIGHT + gridSize + 28}" font-size="14" fill="${COLORS.muted}">${escapeXml(footer)}</text>` : '',
+        '</svg>'
+    ].join('\n');
+}
+
+// Render a card as a PNG buffer (same options as renderCardSvg)
+function renderCardPng(card, options) {
+    return sharp(Buffer.from(renderCardSvg(card, options))).png().toBuffer();
+}
+
+module.exports = {
+    COLORS,
+    renderCardSvg,
+    renderCardPng
+};
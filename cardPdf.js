@@ -0,0 +1,126 @@
+// ============= CARD PDF EXPORT =============
+// Print-ready PDFs of bingo cards: one Letter page per card with its title, owner, print date,
+// the grid (same colours as the card images) and completion stats.
+
+const PDFDocument = require('pdfkit');
+const { COLORS } = require('./cardImage');
+const { DEFAULT_PATTERNS, getAchievedCells } = require('./patterns');
+
+const PAGE_MARGIN = 48;
+const HEADER_HEIGHT = 70;
+const STATS_HEIGHT = 90;
+const TILE_GAP = 6;
+const TILE_PADDING = 6;
+
+function drawTile(doc, cell, x, y, tileSize, style, completed) {
+    doc.save()
+        .roundedRect(x, y, tileSize, tileSize, 6)
+        .lineWidth(1.5)
+        .fillAndStroke(style.fill, style.stroke)
+        .restore();
+
+    const text = String((cell && typeof cell === 'object' ? cell.text : cell) || '');
+    if (text) {
+        const fontSize = tileSize < 90 ? 8 : 10;
+        const width = tileSize - TILE_PADDING * 2;
+        const maxHeight = tileSize - TILE_PADDING * 2;
+        doc.font('Helvetica').fontSize(fontSize).fillColor(COLORS.text);
+        const textHeight = Math.min(doc.heightOfString(text, { width, align: 'center' }), maxHeight);
+        doc.text(text, x + TILE_PADDING, y + (tileSize - textHeight) / 2, {
+            width,
+            height: maxHeight,
+            align: 'center',
+            ellipsis: true
+        });
+    }
+
+    if (completed) {
+        const cx = x + tileSize - 11;
+        const cy = y + 11;
+        doc.save().circle(cx, cy, 7).fill(COLORS.check).restore();
+        doc.save()
+            .moveTo(cx - 3.5, cy).lineTo(cx - 0.5, cy + 3).lineTo(cx + 4, cy - 3)
+            .lineWidth(1.8).strokeColor('#ffffff').stroke()
+            .restore();
+    }
+}
+
+function drawCardPage(doc, { card, ownerName, patterns = DEFAULT_PATTERNS, stats }) {
+    const size = card.size;
+    const grid = JSON.parse(card.grid_data);
+    const completed = JSON.parse(card.completed_data);
+    const achievedCells = getAchievedCells(completed, size, patterns);
+
+    const pageWidth = doc.page.width;
+    const contentWidth = pageWidth - PAGE_MARGIN * 2;
+    const printedOn = new Date().toISOString().slice(0, 10);
+
+    // Header: title, owner and year, print date
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.text)
+        .text(card.title || 'Bingo Card', PAGE_MARGIN, PAGE_MARGIN, { width: contentWidth, lineBreak: false, ellipsis: true });
+    doc.font('Helvetica').fontSize(12).fillColor(COLORS.muted)
+        .text([ownerName, card.year].filter(Boolean).join(' · '), PAGE_MARGIN, PAGE_MARGIN + 30, { width: contentWidth / 2 });
+    doc.text(`Printed ${printedOn}`, PAGE_MARGIN + contentWidth / 2, PAGE_MARGIN + 30, { width: contentWidth / 2, align: 'right' });
+
+    // Grid, as large as fits between header and stats
+    const gridTop = PAGE_MARGIN + HEADER_HEIGHT;
+    const availableHeight = doc.page.height - gridTop - STATS_HEIGHT - PAGE_MARGIN;
+    const gridSize = Math.min(contentWidth, availableHeight);
+    const tileSize = (gridSize - (size - 1) * TILE_GAP) / size;
+    const gridLeft = PAGE_MARGIN + (contentWidth - gridSize) / 2;
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const cell = grid[row] && grid[row][col];
+            const isFree = !!(cell && cell.type === 'free');
+            const isCompleted = !!(completed[row] && completed[row][col]);
+            let style = COLORS.open;
+            if (isFree) {
+                style = COLORS.free;
+            } else if (achievedCells.has(`${row},${col}`)) {
+                style = COLORS.bingo;
+            } else if (isCompleted) {
+                style = COLORS.completed;
+            }
+
+            const x = gridLeft + col * (tileSize + TILE_GAP);
+            const y = gridTop + row * (tileSize + TILE_GAP);
+            drawTile(doc, cell, x, y, tileSize, style, isCompleted && !isFree);
+        }
+    }
+
+    // Completion stats
+    const statsTop = gridTop + gridSize + 20;
+    const totalTiles = size * size;
+    const lines = [
+        `Tiles completed: ${stats.tilesCompleted}/${totalTiles} (${stats.progressPercentage}% progress)`,
+        `Bingos: ${stats.bingosAchieved}    Score: ${stats.score}`,
+        `Last tile completed: ${stats.lastTileDate ? stats.lastTileDate.slice(0, 10) : '-'}`
+    ];
+    doc.font('Helvetica').fontSize(12).fillColor(COLORS.text);
+    lines.forEach((line, index) => {
+        doc.text(line, PAGE_MARGIN, statsTop + index * 18, { width: contentWidth });
+    });
+}
+
+// Render cards into one PDF, a page each. Entries are { card, ownerName, patterns, stats }
+// where stats come from calculateBingoStats. Resolves to the PDF as a Buffer.
+function renderCardsPdf(entries, { title = 'Bingo Cards' } = {}) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, autoFirstPage: false, info: { Title: title } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        entries.forEach(entry => {
+            doc.addPage();
+            drawCardPage(doc, entry);
+        });
+        doc.end();
+    });
+}
+
+module.exports = {
+    renderCardsPdf
+};
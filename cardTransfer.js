@@ -0,0 +1,188 @@
+// ============= CARD IMPORT / EXPORT =============
+// Card contents as portable tile lists: export to JSON/CSV (tiles, completion state and dates,
+// comments) and import a CSV of tasks into a new card's grid, with errors reported per CSV line.
+// Imports carry tasks only: completion columns (e.g. from an export) are ignored.
+
+const { parseCsv, toCsv } = require('./csv');
+const { ALLOWED_CARD_SIZES, validateTileFields } = require('./validation');
+
+const CSV_HEADER = ['row', 'col', 'text', 'type', 'points', 'target', 'unit', 'due_date', 'completed', 'completed_at', 'comments'];
+
+// Accepted import column names (case-insensitive) for each tile field
+const IMPORT_COLUMNS = {
+    text: ['text', 'task'],
+    type: ['type', 'category'],
+    points: ['points'],
+    target: ['target'],
+    unit: ['unit'],
+    dueDate: ['due_date', 'duedate', 'due'],
+    row: ['row'],
+    col: ['col', 'column']
+};
+
+// Flatten a card row and its comments into one entry per tile, in row-major order
+function getCardTiles(card, comments = []) {
+    const grid = JSON.parse(card.grid_data);
+    const completed = JSON.parse(card.completed_data);
+    const tiles = [];
+
+    for (let row = 0; row < card.size; row++) {
+        for (let col = 0; col < card.size; col++) {
+            const cell = grid[row] && grid[row][col];
+            const value = completed[row] && completed[row][col];
+            const tile = cell && typeof cell === 'object' ? cell : { text: cell || '' };
+
+            tiles.push({
+                row,
+                col,
+                text: tile.text || '',
+                type: tile.type || null,
+                points: tile.points !== undefined ? tile.points : null,
+                target: tile.target !== undefined ? tile.target : null,
+                unit: tile.unit || null,
+                dueDate: tile.dueDate || null,
+                completed: !!value,
+                completedAt: value && value.completedAt ? value.completedAt : null,
+                comments: comments
+                    .filter(comment => comment.row === row && comment.col === col)
+                    .map(comment => ({
+                        author: comment.author_name,
+                        text: comment.text,
+                        isPrivate: !!comment.is_private,
+                        createdAt: comment.created_at
+                    }))
+            });
+        }
+    }
+
+    return tiles;
+}
+
+// Text that spreadsheets would run as a formula (=, +, - or @ first, or a leading tab/CR) gets a
+// leading apostrophe, so opening an export can't execute what a user or friend typed into a tile
+function escapeFormula(value) {
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// CSV export: one line per tile, comments folded into a single multi-line field
+function tilesToCsv(tiles) {
+    return toCsv(CSV_HEADER, tiles.map(tile => [
+        tile.row,
+        tile.col,
+        tile.text,
+        tile.type,
+        tile.points,
+        tile.target,
+        tile.unit,
+        tile.dueDate,
+        tile.completed,
+        tile.completedAt,
+        tile.comments.map(comment => `${comment.author} (${comment.createdAt}): ${comment.text}`).join('\n')
+    ].map(escapeFormula)));
+}
+
+function parseNumber(value) {
+    return value === '' ? undefined : Number(value);
+}
+
+// Parse an imported CSV of tasks into a card grid. The header row names the columns (only
+// text is required). Tiles fill the card in order unless row and col columns place them.
+// The size is taken from options.size, or inferred from the task count / placements.
+// Returns { size, grid, errors } where errors are { line, field, message }.
+function parseTaskCsv(text, { size } = {}) {
+    const records = parseCsv(text);
+    const errors = [];
+
+    if (records.length < 2) {
+        return { errors: [{ line: 1, field: 'csv', message: 'CSV must have a header row and at least one task' }] };
+    }
+
+    const header = records[0].map(name => name.trim().toLowerCase());
+    const columns = {};
+    Object.entries(IMPORT_COLUMNS).forEach(([key, names]) => {
+        const index = header.findIndex(name => names.includes(name));
+        if (index !== -1) columns[key] = index;
+    });
+    if (columns.text === undefined) {
+        return { errors: [{ line: records[0].line, field: 'csv', message: 'CSV header must include a "text" column' }] };
+    }
+    const placed = columns.row !== undefined && columns.col !== undefined;
+
+    const tasks = records.slice(1).map(record => {
+        const get = key => (columns[key] !== undefined && record[columns[key]] !== undefined ? record[columns[key]].trim() : '');
+        const line = record.line;
+        const cell = { text: get('text') };
+        ['type', 'unit', 'dueDate'].forEach(key => {
+            if (get(key) !== '') cell[key] = get(key);
+        });
+        ['points', 'target'].forEach(key => {
+            if (get(key) !== '') cell[key] = parseNumber(get(key));
+        });
+
+        const rowErrors = validateTileFields(cell, 'tile').map(error => ({ line, field: error.field.replace(/^tile\./, ''), message: error.message }));
+        if (cell.text === '') {
+            rowErrors.push({ line, field: 'text', message: 'Tile text is required' });
+        }
+
+        let position = null;
+        if (placed) {
+            position = [Number(get('row')), Number(get('col'))];
+            if (!position.every(Number.isInteger) || position.some(index => index < 0)) {
+                rowErrors.push({ line, field: 'row', message: 'Row and col must be whole numbers from 0' });
+            }
+        }
+
+        errors.push(...rowErrors);
+        return { line, cell, position };
+    });
+
+    // Card size: given, or the smallest that fits the placements, or the square root of the task count
+    let cardSize = size !== undefined && size !== null && size !== '' ? Number(size) : null;
+    if (cardSize === null) {
+        cardSize = placed
+            ? Math.max(...tasks.map(task => (task.position ? Math.max(...task.position.filter(Number.isInteger)) : 0))) + 1
+            : Math.sqrt(tasks.length);
+    }
+    if (!ALLOWED_CARD_SIZES.includes(cardSize)) {
+        const message = size
+            ? `Size must be one of ${ALLOWED_CARD_SIZES.join(', ')}`
+            : `Couldn't infer a card size from ${tasks.length} tasks; pass a size of ${ALLOWED_CARD_SIZES.join(', ')}`;
+        errors.push({ line: null, field: 'size', message });
+        return { errors };
+    }
+
+    const grid = Array(cardSize).fill(null).map(() => Array(cardSize).fill(null));
+
+    if (tasks.length > cardSize * cardSize) {
+        errors.push({ line: tasks[cardSize * cardSize].line, field: 'csv', message: `A ${cardSize}x${cardSize} card holds at most ${cardSize * cardSize} tasks` });
+    }
+
+    tasks.slice(0, cardSize * cardSize).forEach((task, index) => {
+        const [row, col] = placed ? task.position : [Math.floor(index / cardSize), index % cardSize];
+        if (!Number.isInteger(row) || !Number.isInteger(col)) return;
+
+        if (row >= cardSize || col >= cardSize) {
+            errors.push({ line: task.line, field: 'row', message: `Tile position must be within a ${cardSize}x${cardSize} card` });
+        } else if (grid[row][col]) {
+            errors.push({ line: task.line, field: 'row', message: `Another line already places a tile at row ${row}, col ${col}` });
+        } else {
+            grid[row][col] = task.cell;
+        }
+    });
+
+    const missing = [];
+    grid.forEach((rowValues, row) => rowValues.forEach((cell, col) => {
+        if (!cell) missing.push(`(${row}, ${col})`);
+    }));
+    if (missing.length > 0 && errors.length === 0) {
+        errors.push({ line: null, field: 'csv', message: `A ${cardSize}x${cardSize} card needs ${cardSize * cardSize} tasks; missing tiles at ${missing.slice(0, 10).join(', ')}${missing.length > 10 ? ', …' : ''}` });
+    }
+
+    return { size: cardSize, grid, errors };
+}
+
+module.exports = {
+    getCardTiles,
+    tilesToCsv,
+    parseTaskCsv
+};
@@ -0,0 +1,72 @@
+// ============= CSV =============
+// Minimal RFC 4180 CSV reading and writing for card import/export: comma separated, fields
+// quoted with double quotes when they contain commas, quotes or line breaks.
+
+// Parse CSV text into an array of records (arrays of strings). Blank lines are skipped.
+// Each record carries its 1-based starting line number as `record.line` for error messages.
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const source = String(text).replace(/^﻿/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            if (record.length > 1 || record[0] !== '') {
+                record.line = recordLine;
+                records.push(record);
+            }
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') {
+        record.line = recordLine;
+        records.push(record);
+    }
+
+    return records;
+}
+
+function escapeField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV text from a header row and rows of values
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
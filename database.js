@@ -11,7 +11,12 @@ const isProduction = process.env.NODE_ENV === 'production' || process.env.RAILWA
 let dbPath;
 let dbDir;
 
-if (isProduction) {
+if (process.env.DATA_DIR) {
+    // Explicit data directory (the tests point this at a temporary directory)
+    dbDir = process.env.DATA_DIR;
+    dbPath = path.join(dbDir, 'database.sqlite');
+    console.log('📂 Using DATA_DIR for storage');
+} else if (isProduction) {
     // Production: Use Railway Volume at /app/data
     dbDir = '/app/data';
     dbPath = path.join(dbDir, 'database.sqlite');
@@ -55,6 +60,25 @@ console.log('💾 Data will persist across deployments!');
 db.pragma('foreign_keys = ON');
 console.log('✅ Foreign keys enabled');
 
+// Add a column to an existing table if it doesn't exist yet. Returns true if it was added.
+function ensureColumn(table, column, definition) {
+    try {
+        const columns = db.pragma(`table_info(${table})`);
+        const hasColumn = columns.some(col => col.name === column);
+
+        if (!hasColumn) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`✅ ${column} column added to ${table} table`);
+            return true;
+        } else {
+            console.log(`ℹ️  ${column} column already exists on ${table}`);
+        }
+    } catch (error) {
+        console.error(`⚠️  Error checking/adding ${column} column on ${table}:`, error.message);
+    }
+    return false;
+}
+
 // Initialize database tables
 function initializeDatabase() {
     console.log('🔧 Starting database initialization...');
@@ -252,6 +276,312 @@ function initializeDatabase() {
         `);
         console.log('✅ Group comment reactions table created/verified');
 
+        // Multiple cards per user: title/year on each card, a primary card pointer on users,
+        // and comments tied to a specific card instead of just the card owner
+        ensureColumn('bingo_cards', 'title', "TEXT DEFAULT ''");
+        ensureColumn('bingo_cards', 'year', 'INTEGER');
+        ensureColumn('users', 'primary_card_id', 'INTEGER REFERENCES bingo_cards(id) ON DELETE SET NULL');
+        ensureColumn('comments', 'card_id', 'INTEGER REFERENCES bingo_cards(id) ON DELETE CASCADE');
+
+        // Backfill data created back when every user had a single card
+        db.exec(`
+            UPDATE bingo_cards
+            SET year = CAST(strftime('%Y', created_at) AS INTEGER)
+            WHERE year IS NULL
+        `);
+        db.exec(`
+            UPDATE users
+            SET primary_card_id = (
+                SELECT id FROM bingo_cards WHERE user_id = users.id ORDER BY created_at DESC, id DESC LIMIT 1
+            )
+            WHERE primary_card_id IS NULL
+        `);
+        db.exec(`
+            UPDATE comments
+            SET card_id = (SELECT primary_card_id FROM users WHERE id = comments.card_owner_id)
+            WHERE card_id IS NULL
+        `);
+        console.log('✅ Multiple card columns verified');
+
+        // Card version for optimistic concurrency control (bumped on every write)
+        ensureColumn('bingo_cards', 'version', 'INTEGER NOT NULL DEFAULT 1');
+
+        // Win patterns (JSON list; NULL means rows, columns and diagonals).
+        // Set on a group, they override members' card patterns for that group's leaderboard.
+        ensureColumn('bingo_cards', 'win_patterns', 'TEXT');
+        ensureColumn('groups', 'win_patterns', 'TEXT');
+
+        // Card revisions table (append-only snapshot of every card save)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS card_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                card_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                size INTEGER NOT NULL,
+                grid_data TEXT NOT NULL,
+                completed_data TEXT NOT NULL,
+                reason TEXT NOT NULL DEFAULT 'save',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (card_id) REFERENCES bingo_cards(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_card_revisions_card ON card_revisions(card_id, id)');
+
+        // Win patterns are snapshotted too, so a revision's bingo count reflects the patterns of its time.
+        // Revisions from before this column get the card's current patterns, the best guess left.
+        if (ensureColumn('card_revisions', 'win_patterns', 'TEXT')) {
+            db.exec(`
+                UPDATE card_revisions
+                SET win_patterns = (SELECT win_patterns FROM bingo_cards WHERE bingo_cards.id = card_revisions.card_id)
+            `);
+        }
+
+        // Seed a baseline revision for cards saved before revision history existed
+        db.exec(`
+            INSERT INTO card_revisions (card_id, user_id, size, grid_data, completed_data, win_patterns, reason, created_at)
+            SELECT id, user_id, size, grid_data, completed_data, win_patterns, 'baseline', updated_at
+            FROM bingo_cards
+            WHERE id NOT IN (SELECT card_id FROM card_revisions)
+        `);
+        console.log('✅ Card revisions table created/verified');
+
+        // Card templates table (shareable card layouts)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS card_templates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                creator_id INTEGER NOT NULL,
+                title TEXT NOT NULL,
+                description TEXT DEFAULT '',
+                size INTEGER NOT NULL,
+                grid_data TEXT NOT NULL,
+                visibility TEXT NOT NULL CHECK(visibility IN ('public', 'friends', 'group')) DEFAULT 'public',
+                group_id INTEGER,
+                use_count INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (creator_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ Card templates table created/verified');
+
+        // Tile progress log (for counter tiles with a numeric target, e.g. "read 12 books")
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS tile_progress (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                card_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                row INTEGER NOT NULL,
+                col INTEGER NOT NULL,
+                amount REAL NOT NULL,
+                note TEXT DEFAULT '',
+                logged_on DATE NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (card_id) REFERENCES bingo_cards(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_tile_progress_tile ON tile_progress(card_id, row, col)');
+        console.log('✅ Tile progress table created/verified');
+
+        // Tile attachments table (evidence files stored on disk next to the database)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS tile_attachments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                card_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                row INTEGER NOT NULL,
+                col INTEGER NOT NULL,
+                original_name TEXT NOT NULL,
+                stored_name TEXT NOT NULL,
+                thumbnail_name TEXT,
+                mime_type TEXT NOT NULL,
+                size_bytes INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (card_id) REFERENCES bingo_cards(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_tile_attachments_tile ON tile_attachments(card_id, row, col)');
+        console.log('✅ Tile attachments table created/verified');
+
+        // Tile journal table (the owner's dated notes per tile; private unless shared with friends)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS tile_journal_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                card_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                row INTEGER NOT NULL,
+                col INTEGER NOT NULL,
+                body TEXT NOT NULL,
+                mood TEXT,
+                entry_date DATE NOT NULL,
+                shared INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (card_id) REFERENCES bingo_cards(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_tile_journal_tile ON tile_journal_entries(card_id, row, col)');
+        console.log('✅ Tile journal table created/verified');
+
+        // Habit tile check-ins (at most one per tile per day)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS tile_checkins (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                card_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                row INTEGER NOT NULL,
+                col INTEGER NOT NULL,
+                checked_on DATE NOT NULL,
+                note TEXT DEFAULT '',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (card_id) REFERENCES bingo_cards(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE(card_id, row, col, checked_on)
+            )
+        `);
+        console.log('✅ Tile check-ins table created/verified');
+
+        // Public share links: anyone holding the token gets a read-only view of the card
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS card_share_links (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                card_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                token TEXT UNIQUE NOT NULL,
+                expires_at DATETIME,
+                revoked_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (card_id) REFERENCES bingo_cards(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ Card share links table created/verified');
+
+        // Login sessions: each login starts a session (a refresh token family). Refresh tokens rotate
+        // on every use; presenting an already-used one revokes the whole session.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS auth_sessions (
+                id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                revoked_at DATETIME,
+                revoked_reason TEXT,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (session_id) REFERENCES auth_sessions(id) ON DELETE CASCADE
+            )
+        `);
+        ensureColumn('auth_sessions', 'user_agent', 'TEXT');
+        ensureColumn('auth_sessions', 'ip_address', 'TEXT');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id, revoked_at)');
+        console.log('✅ Auth session tables created/verified');
+
+        // Password reset tokens (only a hash is stored; each token works once)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ Password reset tokens table created/verified');
+
+        // Email verification. Accounts that existed before verification was introduced count as verified.
+        if (ensureColumn('users', 'email_verified', 'INTEGER DEFAULT 0')) {
+            db.exec('UPDATE users SET email_verified = 1');
+        }
+        // Tokens are tied to the address they were sent to, so changing email invalidates them
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS email_verification_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                email TEXT NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ Email verification tokens table created/verified');
+
+        // TOTP two-factor auth. totp_pending_secret holds a secret during enrollment until a code confirms it;
+        // totp_last_counter is the time step of the last accepted code, so codes can't be replayed.
+        // Wrong codes are counted per account in totp_failed_attempts; too many lock code entry until totp_locked_until.
+        ensureColumn('users', 'totp_enabled', 'INTEGER DEFAULT 0');
+        ensureColumn('users', 'totp_secret', 'TEXT');
+        ensureColumn('users', 'totp_pending_secret', 'TEXT');
+        ensureColumn('users', 'totp_last_counter', 'INTEGER');
+        ensureColumn('users', 'totp_failed_attempts', 'INTEGER DEFAULT 0');
+        ensureColumn('users', 'totp_locked_until', 'DATETIME');
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON two_factor_recovery_codes(user_id, code_hash)');
+        // Issued by a correct password when 2FA is on; exchanged with a code for real tokens
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS two_factor_challenges (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                attempts INTEGER DEFAULT 0,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ Two-factor auth tables created/verified');
+
+        // In-app notifications (tile reminders for now). dedupe_key stops the scheduler
+        // from creating the same reminder twice.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                type TEXT NOT NULL,
+                title TEXT NOT NULL,
+                body TEXT DEFAULT '',
+                data TEXT,
+                dedupe_key TEXT,
+                read_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE(user_id, dedupe_key)
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at)');
+        ensureColumn('users', 'reminder_emails', 'INTEGER DEFAULT 1');
+        console.log('✅ Notifications table created/verified');
+
+        // Secret token for the user's iCalendar feed (no token means no feed)
+        ensureColumn('users', 'calendar_token', 'TEXT');
+        db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token)');
+
         // Verify tables exist
         const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all();
         console.log('📋 Tables in database:', tables.map(t => t.name).join(', '));
@@ -315,14 +645,82 @@ if (hasUsernameColumn) {
     userQueries.updateWithPassword = db.prepare('UPDATE users SET name = ?, username = ?, email = ?, password = ? WHERE id = ?');
 }
 
+// Primary card pointer
+userQueries.setPrimaryCard = db.prepare('UPDATE users SET primary_card_id = ? WHERE id = ?');
+userQueries.getPrimaryCardId = db.prepare('SELECT primary_card_id FROM users WHERE id = ?');
+
+// Notification preferences
+userQueries.getReminderEmails = db.prepare('SELECT reminder_emails FROM users WHERE id = ?');
+userQueries.setReminderEmails = db.prepare('UPDATE users SET reminder_emails = ? WHERE id = ?');
+
+// Calendar feed token
+userQueries.getCalendarToken = db.prepare('SELECT calendar_token FROM users WHERE id = ?');
+userQueries.setCalendarToken = db.prepare('UPDATE users SET calendar_token = ? WHERE id = ?');
+userQueries.findByCalendarToken = db.prepare('SELECT id, name FROM users WHERE calendar_token = ?');
+
+// Password reset
+userQueries.updatePassword = db.prepare('UPDATE users SET password = ? WHERE id = ?');
+
+// Email verification
+userQueries.getEmailVerified = db.prepare('SELECT email_verified FROM users WHERE id = ?');
+userQueries.setEmailVerified = db.prepare('UPDATE users SET email_verified = ? WHERE id = ?');
+// Only verifies the address the token was sent to
+userQueries.verifyEmail = db.prepare('UPDATE users SET email_verified = 1 WHERE id = ? AND email = ?');
+
+// Two-factor auth
+userQueries.findFullById = db.prepare('SELECT * FROM users WHERE id = ?');
+userQueries.getTwoFactor = db.prepare('SELECT totp_enabled, totp_secret, totp_pending_secret, totp_last_counter, totp_locked_until FROM users WHERE id = ?');
+userQueries.setPendingTotpSecret = db.prepare('UPDATE users SET totp_pending_secret = ? WHERE id = ?');
+userQueries.enableTotp = db.prepare('UPDATE users SET totp_enabled = 1, totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_last_counter = ? WHERE id = ?');
+userQueries.disableTotp = db.prepare('UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_pending_secret = NULL, totp_last_counter = NULL WHERE id = ?');
+// changes === 0 means a code for this time step (or a later one) was already used
+userQueries.setTotpLastCounter = db.prepare('UPDATE users SET totp_last_counter = ? WHERE id = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)');
+userQueries.recordTotpFailure = db.prepare('UPDATE users SET totp_failed_attempts = COALESCE(totp_failed_attempts, 0) + 1 WHERE id = ? RETURNING totp_failed_attempts');
+userQueries.lockTotp = db.prepare('UPDATE users SET totp_locked_until = ?, totp_failed_attempts = 0 WHERE id = ?');
+userQueries.resetTotpFailures = db.prepare('UPDATE users SET totp_failed_attempts = 0, totp_locked_until = NULL WHERE id = ?');
+
 console.log('✅ User queries prepared');
 
 // Bingo card queries
 const cardQueries = {
-    create: db.prepare('INSERT INTO bingo_cards (user_id, size, grid_data, completed_data) VALUES (?, ?, ?, ?)'),
-    update: db.prepare('UPDATE bingo_cards SET grid_data = ?, completed_data = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?'),
-    findByUserId: db.prepare('SELECT * FROM bingo_cards WHERE user_id = ?'),
-    delete: db.prepare('DELETE FROM bingo_cards WHERE user_id = ?')
+    create: db.prepare('INSERT INTO bingo_cards (user_id, size, grid_data, completed_data, title, year) VALUES (?, ?, ?, ?, ?, ?)'),
+    // Only applies if the card is still at the version the client edited (changes === 0 means conflict)
+    update: db.prepare(`
+        UPDATE bingo_cards
+        SET size = ?, grid_data = ?, completed_data = ?, title = ?, year = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND version = ?
+    `),
+    findById: db.prepare('SELECT * FROM bingo_cards WHERE id = ?'),
+    // A user's primary card (what friends and leaderboards see by default)
+    findByUserId: db.prepare(`
+        SELECT c.*
+        FROM bingo_cards c
+        JOIN users u ON u.primary_card_id = c.id
+        WHERE u.id = ?
+    `),
+    findByUserAndYear: db.prepare(`
+        SELECT * FROM bingo_cards
+        WHERE user_id = ? AND year = ?
+        ORDER BY updated_at DESC, id DESC
+        LIMIT 1
+    `),
+    getAllByUserId: db.prepare(`
+        SELECT c.*, (c.id = u.primary_card_id) as is_primary
+        FROM bingo_cards c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.user_id = ?
+        ORDER BY c.year DESC, c.created_at DESC
+    `),
+    getLatestByUserId: db.prepare('SELECT * FROM bingo_cards WHERE user_id = ? ORDER BY updated_at DESC, id DESC LIMIT 1'),
+    updatePatterns: db.prepare('UPDATE bingo_cards SET win_patterns = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+    // Cards with at least one tile due date, with what the reminder scheduler needs about the owner
+    getWithDueDates: db.prepare(`
+        SELECT c.*, u.name as user_name, u.email as user_email, u.reminder_emails
+        FROM bingo_cards c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.grid_data LIKE '%"dueDate"%'
+    `),
+    delete: db.prepare('DELETE FROM bingo_cards WHERE id = ? AND user_id = ?')
 };
 console.log('✅ Card queries prepared');
 
@@ -364,23 +762,23 @@ console.log('✅ Friendship queries prepared');
 
 // Comment queries
 const commentQueries = {
-    create: db.prepare('INSERT INTO comments (author_id, card_owner_id, row, col, text, is_private) VALUES (?, ?, ?, ?, ?, ?)'),
+    create: db.prepare('INSERT INTO comments (author_id, card_owner_id, card_id, row, col, text, is_private) VALUES (?, ?, ?, ?, ?, ?, ?)'),
     getByCard: db.prepare(`
         SELECT c.*, u.name as author_name
         FROM comments c
         JOIN users u ON c.author_id = u.id
-        WHERE c.card_owner_id = ?
+        WHERE c.card_id = ?
         ORDER BY c.created_at DESC
     `),
     getByTask: db.prepare(`
         SELECT c.*, u.name as author_name
         FROM comments c
         JOIN users u ON c.author_id = u.id
-        WHERE c.card_owner_id = ? AND c.row = ? AND c.col = ?
+        WHERE c.card_id = ? AND c.row = ? AND c.col = ?
         ORDER BY c.created_at DESC
     `),
     delete: db.prepare('DELETE FROM comments WHERE id = ? AND author_id = ?'),
-    deleteByCardOwner: db.prepare('DELETE FROM comments WHERE card_owner_id = ?')
+    deleteByCard: db.prepare('DELETE FROM comments WHERE card_id = ?')
 };
 console.log('✅ Comment queries prepared');
 
@@ -400,7 +798,7 @@ const reactionQueries = {
         FROM reactions r
         JOIN users u ON r.user_id = u.id
         JOIN comments c ON r.comment_id = c.id
-        WHERE c.card_owner_id = ?
+        WHERE c.card_id = ?
         ORDER BY r.created_at DESC
     `)
 };
@@ -411,6 +809,7 @@ const groupQueries = {
     create: db.prepare('INSERT INTO groups (name, creator_id) VALUES (?, ?)'),
     findById: db.prepare('SELECT * FROM groups WHERE id = ?'),
     updateDescription: db.prepare('UPDATE groups SET description = ? WHERE id = ?'),
+    updatePatterns: db.prepare('UPDATE groups SET win_patterns = ? WHERE id = ?'),
     getUserGroups: db.prepare(`
         SELECT g.*, gm.role, gm.status
         FROM groups g
@@ -544,10 +943,269 @@ const adminQueries = {
 };
 console.log('✅ Admin queries prepared');
 
+// Card revision queries
+const revisionQueries = {
+    // Snapshot the card's current state
+    createFromCard: db.prepare(`
+        INSERT INTO card_revisions (card_id, user_id, size, grid_data, completed_data, win_patterns, reason)
+        SELECT id, user_id, size, grid_data, completed_data, win_patterns, ?
+        FROM bingo_cards
+        WHERE id = ?
+    `),
+    findById: db.prepare('SELECT * FROM card_revisions WHERE id = ?'),
+    getByCard: db.prepare(`
+        SELECT * FROM card_revisions
+        WHERE card_id = ?
+        ORDER BY id DESC
+        LIMIT ?
+    `),
+    restore: db.prepare('UPDATE bingo_cards SET size = ?, grid_data = ?, completed_data = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND version = ?')
+};
+console.log('✅ Revision queries prepared');
+
+// Template queries
+// A template is visible to its creator, to everyone if public, to the creator's accepted
+// friends if friends-only, and to accepted members of its group if group-only
+const templateVisibleTo = `
+    (t.creator_id = @userId
+    OR t.visibility = 'public'
+    OR (t.visibility = 'friends' AND EXISTS (
+        SELECT 1 FROM friendships f
+        WHERE f.status = 'accepted'
+        AND ((f.user1_id = @userId AND f.user2_id = t.creator_id) OR (f.user2_id = @userId AND f.user1_id = t.creator_id))
+    ))
+    OR (t.visibility = 'group' AND EXISTS (
+        SELECT 1 FROM group_members gm
+        WHERE gm.group_id = t.group_id AND gm.user_id = @userId AND gm.status = 'accepted'
+    )))
+`;
+
+const templateQueries = {
+    create: db.prepare(`
+        INSERT INTO card_templates (creator_id, title, description, size, grid_data, visibility, group_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    findById: db.prepare('SELECT * FROM card_templates WHERE id = ?'),
+    findVisibleById: db.prepare(`
+        SELECT t.*, u.name as creator_name
+        FROM card_templates t
+        JOIN users u ON t.creator_id = u.id
+        WHERE t.id = @templateId AND ${templateVisibleTo}
+    `),
+    search: db.prepare(`
+        SELECT t.id, t.creator_id, t.title, t.description, t.size, t.visibility, t.group_id,
+               t.use_count, t.created_at, u.name as creator_name
+        FROM card_templates t
+        JOIN users u ON t.creator_id = u.id
+        WHERE ${templateVisibleTo}
+        AND (@query IS NULL OR t.title LIKE @query OR t.description LIKE @query)
+        AND (@size IS NULL OR t.size = @size)
+        ORDER BY t.use_count DESC, t.created_at DESC
+        LIMIT @limit
+    `),
+    incrementUseCount: db.prepare('UPDATE card_templates SET use_count = use_count + 1 WHERE id = ?'),
+    delete: db.prepare('DELETE FROM card_templates WHERE id = ? AND creator_id = ?')
+};
+console.log('✅ Template queries prepared');
+
+// Tile progress queries
+const progressQueries = {
+    create: db.prepare('INSERT INTO tile_progress (card_id, user_id, row, col, amount, note, logged_on) VALUES (?, ?, ?, ?, ?, ?, ?)'),
+    findById: db.prepare('SELECT * FROM tile_progress WHERE id = ?'),
+    getByTile: db.prepare(`
+        SELECT * FROM tile_progress
+        WHERE card_id = ? AND row = ? AND col = ?
+        ORDER BY logged_on DESC, id DESC
+    `),
+    getTileTotal: db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM tile_progress WHERE card_id = ? AND row = ? AND col = ?'),
+    getTotalsByCard: db.prepare(`
+        SELECT row, col, SUM(amount) as total
+        FROM tile_progress
+        WHERE card_id = ?
+        GROUP BY row, col
+    `),
+    delete: db.prepare('DELETE FROM tile_progress WHERE id = ? AND user_id = ?')
+};
+console.log('✅ Progress queries prepared');
+
+// Tile attachment queries
+const attachmentQueries = {
+    create: db.prepare(`
+        INSERT INTO tile_attachments (card_id, user_id, row, col, original_name, stored_name, thumbnail_name, mime_type, size_bytes)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    findById: db.prepare('SELECT * FROM tile_attachments WHERE id = ?'),
+    getByTile: db.prepare(`
+        SELECT * FROM tile_attachments
+        WHERE card_id = ? AND row = ? AND col = ?
+        ORDER BY created_at ASC, id ASC
+    `),
+    getByCard: db.prepare('SELECT * FROM tile_attachments WHERE card_id = ?'),
+    countByTile: db.prepare('SELECT COUNT(*) as count FROM tile_attachments WHERE card_id = ? AND row = ? AND col = ?'),
+    delete: db.prepare('DELETE FROM tile_attachments WHERE id = ? AND user_id = ?')
+};
+console.log('✅ Attachment queries prepared');
+
+// Tile journal queries
+const journalQueries = {
+    create: db.prepare(`
+        INSERT INTO tile_journal_entries (card_id, user_id, row, col, body, mood, entry_date, shared)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    findById: db.prepare('SELECT * FROM tile_journal_entries WHERE id = ?'),
+    getByTile: db.prepare(`
+        SELECT * FROM tile_journal_entries
+        WHERE card_id = ? AND row = ? AND col = ?
+        ORDER BY entry_date DESC, id DESC
+    `),
+    getSharedByTile: db.prepare(`
+        SELECT * FROM tile_journal_entries
+        WHERE card_id = ? AND row = ? AND col = ? AND shared = 1
+        ORDER BY entry_date DESC, id DESC
+    `),
+    update: db.prepare(`
+        UPDATE tile_journal_entries
+        SET body = ?, mood = ?, entry_date = ?, shared = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ?
+    `),
+    delete: db.prepare('DELETE FROM tile_journal_entries WHERE id = ? AND user_id = ?')
+};
+console.log('✅ Journal queries prepared');
+
+// Habit check-in queries
+const checkinQueries = {
+    create: db.prepare('INSERT INTO tile_checkins (card_id, user_id, row, col, checked_on, note) VALUES (?, ?, ?, ?, ?, ?)'),
+    findById: db.prepare('SELECT * FROM tile_checkins WHERE id = ?'),
+    findByDate: db.prepare('SELECT * FROM tile_checkins WHERE card_id = ? AND row = ? AND col = ? AND checked_on = ?'),
+    getByTile: db.prepare(`
+        SELECT * FROM tile_checkins
+        WHERE card_id = ? AND row = ? AND col = ?
+        ORDER BY checked_on DESC
+    `),
+    getDatesByCard: db.prepare('SELECT row, col, checked_on FROM tile_checkins WHERE card_id = ?'),
+    delete: db.prepare('DELETE FROM tile_checkins WHERE id = ? AND user_id = ?')
+};
+console.log('✅ Check-in queries prepared');
+
+// Share link queries
+const shareLinkQueries = {
+    create: db.prepare('INSERT INTO card_share_links (card_id, user_id, token, expires_at) VALUES (?, ?, ?, ?)'),
+    findById: db.prepare('SELECT * FROM card_share_links WHERE id = ?'),
+    findByToken: db.prepare('SELECT * FROM card_share_links WHERE token = ? AND revoked_at IS NULL'),
+    // Links that haven't been revoked or expired (expires_at is stored as an ISO timestamp)
+    getActiveByUser: db.prepare(`
+        SELECT l.*, c.title as card_title
+        FROM card_share_links l
+        JOIN bingo_cards c ON l.card_id = c.id
+        WHERE l.user_id = ? AND l.revoked_at IS NULL AND (l.expires_at IS NULL OR l.expires_at > ?)
+        ORDER BY l.created_at DESC, l.id DESC
+    `),
+    revoke: db.prepare('UPDATE card_share_links SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL')
+};
+console.log('✅ Share link queries prepared');
+
+// Auth session queries
+const sessionQueries = {
+    create: db.prepare('INSERT INTO auth_sessions (id, user_id, user_agent, ip_address) VALUES (?, ?, ?, ?)'),
+    findActive: db.prepare('SELECT * FROM auth_sessions WHERE id = ? AND revoked_at IS NULL'),
+    getActiveByUser: db.prepare('SELECT * FROM auth_sessions WHERE user_id = ? AND revoked_at IS NULL ORDER BY last_used_at DESC'),
+    // Record last-seen at most once a minute so every request doesn't write
+    touch: db.prepare(`
+        UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP, user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+        WHERE id = ? AND last_used_at < datetime('now', '-1 minute')
+    `),
+    revoke: db.prepare('UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL'),
+    revokeForUser: db.prepare('UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL'),
+    revokeAllForUser: db.prepare(`
+        UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+        WHERE user_id = ? AND revoked_at IS NULL AND id != COALESCE(?, '')
+    `)
+};
+console.log('✅ Session queries prepared');
+
+// Refresh token queries (only a hash of each token is stored)
+const refreshTokenQueries = {
+    create: db.prepare('INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)'),
+    findByHash: db.prepare(`
+        SELECT t.*, s.user_id, s.revoked_at as session_revoked_at
+        FROM refresh_tokens t
+        JOIN auth_sessions s ON t.session_id = s.id
+        WHERE t.token_hash = ?
+    `),
+    // changes === 0 means the token was already used
+    markUsed: db.prepare('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL')
+};
+console.log('✅ Refresh token queries prepared');
+
+// Password reset token queries
+const passwordResetQueries = {
+    create: db.prepare('INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)'),
+    findByHash: db.prepare('SELECT * FROM password_reset_tokens WHERE token_hash = ?'),
+    // changes === 0 means the token was already used
+    markUsed: db.prepare('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL'),
+    // A new request or a successful reset makes any other outstanding tokens useless
+    invalidateForUser: db.prepare('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL'),
+    countRecent: db.prepare("SELECT COUNT(*) as count FROM password_reset_tokens WHERE user_id = ? AND created_at > datetime('now', ?)")
+};
+console.log('✅ Password reset queries prepared');
+
+// Email verification token queries
+const emailVerificationQueries = {
+    create: db.prepare('INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at) VALUES (?, ?, ?, ?)'),
+    findByHash: db.prepare('SELECT * FROM email_verification_tokens WHERE token_hash = ?'),
+    // changes === 0 means the token was already used
+    markUsed: db.prepare('UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL'),
+    invalidateForUser: db.prepare('UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL'),
+    countRecent: db.prepare("SELECT COUNT(*) as count FROM email_verification_tokens WHERE user_id = ? AND created_at > datetime('now', ?)")
+};
+console.log('✅ Email verification queries prepared');
+
+// Two-factor auth queries
+const twoFactorQueries = {
+    addRecoveryCode: db.prepare('INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)'),
+    deleteRecoveryCodes: db.prepare('DELETE FROM two_factor_recovery_codes WHERE user_id = ?'),
+    countUnusedRecoveryCodes: db.prepare('SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL'),
+    // changes === 0 means no unused code matched
+    useRecoveryCode: db.prepare('UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL'),
+    createChallenge: db.prepare('INSERT INTO two_factor_challenges (user_id, token_hash, expires_at) VALUES (?, ?, ?)'),
+    findChallengeByHash: db.prepare('SELECT * FROM two_factor_challenges WHERE token_hash = ?'),
+    recordChallengeAttempt: db.prepare('UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE id = ?'),
+    // changes === 0 means the challenge was already used
+    useChallenge: db.prepare('UPDATE two_factor_challenges SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL')
+};
+console.log('✅ Two-factor auth queries prepared');
+
+// Notification queries
+const notificationQueries = {
+    // Ignored (changes === 0) when the user already has a notification with this dedupe key
+    create: db.prepare(`
+        INSERT OR IGNORE INTO notifications (user_id, type, title, body, data, dedupe_key)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    getByUser: db.prepare(`
+        SELECT * FROM notifications
+        WHERE user_id = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+    `),
+    getUnreadByUser: db.prepare(`
+        SELECT * FROM notifications
+        WHERE user_id = ? AND read_at IS NULL
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+    `),
+    countUnread: db.prepare('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL'),
+    markRead: db.prepare('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND read_at IS NULL'),
+    markAllRead: db.prepare('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL'),
+    delete: db.prepare('DELETE FROM notifications WHERE id = ? AND user_id = ?')
+};
+console.log('✅ Notification queries prepared');
+
 console.log('🎉 Database module loaded successfully');
 
 module.exports = {
     db,
+    dataDir: dbDir,
     initializeDatabase,
     userQueries,
     cardQueries,
@@ -556,5 +1214,18 @@ module.exports = {
     reactionQueries,
     groupQueries,
     hiddenUsersQueries,
-    adminQueries
+    adminQueries,
+    revisionQueries,
+    templateQueries,
+    progressQueries,
+    attachmentQueries,
+    journalQueries,
+    checkinQueries,
+    shareLinkQueries,
+    sessionQueries,
+    refreshTokenQueries,
+    passwordResetQueries,
+    emailVerificationQueries,
+    twoFactorQueries,
+    notificationQueries
 };
@@ -0,0 +1,136 @@
+// ============= HABIT TILES =============
+// Habit tiles ("meditate 3x a week") carry a recurrence rule instead of a one-off completion:
+//   habit: { frequency: 'daily' | 'weekly' | 'monthly', timesPerPeriod, goalPeriods }
+// A period counts as met once it has timesPerPeriod check-ins, and the tile is complete once
+// goalPeriods periods have been met. Periods are identified by their first day (YYYY-MM-DD, UTC);
+// weeks start on Monday.
+
+const HABIT_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_TIMES_PER_PERIOD = { daily: 1, weekly: 7, monthly: 31 };
+const MAX_GOAL_PERIODS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// First day of the period a date (YYYY-MM-DD) falls in
+function getPeriodStart(dateString, frequency) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    if (frequency === 'weekly') {
+        const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+        return toDateString(new Date(date.getTime() - daysSinceMonday * DAY_MS));
+    }
+    if (frequency === 'monthly') {
+        return `${dateString.slice(0, 7)}-01`;
+    }
+    return dateString;
+}
+
+// First day of the period before the one starting on periodStart
+function getPreviousPeriodStart(periodStart, frequency) {
+    const date = new Date(`${periodStart}T00:00:00Z`);
+    if (frequency === 'weekly') {
+        return toDateString(new Date(date.getTime() - 7 * DAY_MS));
+    }
+    if (frequency === 'monthly') {
+        date.setUTCMonth(date.getUTCMonth() - 1);
+        return toDateString(date);
+    }
+    return toDateString(new Date(date.getTime() - DAY_MS));
+}
+
+// Read a tile's habit rule (null for regular tiles). A stored rule that doesn't pass validateHabit
+// is ignored rather than trusted, so one bad row can't break summaries for the whole card.
+function getTileHabit(cell) {
+    if (cell && typeof cell === 'object' && cell.habit && validateHabit(cell.habit, 'habit').length === 0) {
+        return {
+            frequency: cell.habit.frequency,
+            timesPerPeriod: cell.habit.timesPerPeriod || 1,
+            goalPeriods: cell.habit.goalPeriods
+        };
+    }
+    return null;
+}
+
+// Validate a habit rule. Returns a list of { field, message } errors.
+function validateHabit(habit, field) {
+    const errors = [];
+
+    if (!habit || typeof habit !== 'object' || Array.isArray(habit)) {
+        return [{ field, message: 'Habit must be an object with frequency and goalPeriods' }];
+    }
+
+    if (!HABIT_FREQUENCIES.includes(habit.frequency)) {
+        errors.push({ field: `${field}.frequency`, message: `Habit frequency must be one of ${HABIT_FREQUENCIES.join(', ')}` });
+    } else if (habit.timesPerPeriod !== undefined) {
+        const max = MAX_TIMES_PER_PERIOD[habit.frequency];
+        if (!Number.isInteger(habit.timesPerPeriod) || habit.timesPerPeriod < 1 || habit.timesPerPeriod > max) {
+            errors.push({ field: `${field}.timesPerPeriod`, message: `Times per period must be a whole number from 1 to ${max} for ${habit.frequency} habits` });
+        }
+    }
+
+    if (!Number.isInteger(habit.goalPeriods) || habit.goalPeriods < 1 || habit.goalPeriods > MAX_GOAL_PERIODS) {
+        errors.push({ field: `${field}.goalPeriods`, message: `Goal periods must be a whole number from 1 to ${MAX_GOAL_PERIODS}` });
+    }
+
+    return errors;
+}
+
+// Summarize a habit's check-in dates (YYYY-MM-DD strings) as of `today`: periods met so far,
+// the current period's count, and streaks of consecutive met periods. The current streak
+// still counts while the current period is in progress and not yet met.
+function summarizeHabit(habit, checkinDates, today = toDateString(new Date())) {
+    // Walk check-ins in date order, noting the day the goal-th period was met
+    const counts = new Map();
+    let periodsMetSoFar = 0;
+    let completedOn = null;
+    checkinDates.slice().sort().forEach(date => {
+        const start = getPeriodStart(date, habit.frequency);
+        counts.set(start, (counts.get(start) || 0) + 1);
+        if (counts.get(start) === habit.timesPerPeriod && ++periodsMetSoFar === habit.goalPeriods) {
+            completedOn = date;
+        }
+    });
+    const isMet = start => (counts.get(start) || 0) >= habit.timesPerPeriod;
+
+    const metPeriods = Array.from(counts.keys()).filter(isMet).sort();
+
+    let longestStreak = 0;
+    let streak = 0;
+    metPeriods.forEach((start, index) => {
+        streak = index > 0 && getPreviousPeriodStart(start, habit.frequency) === metPeriods[index - 1] ? streak + 1 : 1;
+        longestStreak = Math.max(longestStreak, streak);
+    });
+
+    const currentPeriodStart = getPeriodStart(today, habit.frequency);
+    let currentStreak = 0;
+    let start = isMet(currentPeriodStart) ? currentPeriodStart : getPreviousPeriodStart(currentPeriodStart, habit.frequency);
+    // The streak can't be longer than the number of met periods, which bounds the walk back
+    while (currentStreak < metPeriods.length && isMet(start)) {
+        currentStreak++;
+        start = getPreviousPeriodStart(start, habit.frequency);
+    }
+
+    return {
+        ...habit,
+        periodsMet: metPeriods.length,
+        currentPeriod: {
+            start: currentPeriodStart,
+            checkins: counts.get(currentPeriodStart) || 0,
+            met: isMet(currentPeriodStart)
+        },
+        currentStreak,
+        longestStreak,
+        complete: metPeriods.length >= habit.goalPeriods,
+        completedOn
+    };
+}
+
+module.exports = {
+    HABIT_FREQUENCIES,
+    getTileHabit,
+    validateHabit,
+    summarizeHabit
+};
@@ -0,0 +1,91 @@
+// ============= MAILER =============
+// Outgoing email behind a pluggable transport. MAIL_TRANSPORT picks it:
+//   smtp    - SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS (point it at a local
+//             test server such as MailHog or smtp4dev during development)
+//   console - log messages, bodies included, instead of sending them (the default in development
+//             when SMTP_HOST isn't set; never the default in production, where bodies hold reset links)
+//   file    - write each message as an .eml file into MAIL_FILE_DIR (default ./mail-outbox)
+//   none    - drop messages (the default in production when SMTP_HOST isn't set)
+// Tests and scripts can swap in any nodemailer-compatible transport with setTransport().
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Bingo Card <no-reply@localhost>';
+
+// Same production check as the database module
+const isProduction = process.env.NODE_ENV === 'production' || !!process.env.RAILWAY_ENVIRONMENT;
+
+const TRANSPORT_KIND = process.env.MAIL_TRANSPORT
+    || (process.env.SMTP_HOST ? 'smtp' : isProduction ? 'none' : 'console');
+
+function createDefaultTransport(kind) {
+
+    if (kind === 'smtp') {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+
+    if (kind === 'none') {
+        return null;
+    }
+
+    if (kind === 'file') {
+        const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, 'mail-outbox');
+        const streamer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        return {
+            sendMail: async (message) => {
+                const info = await streamer.sendMail(message);
+                fs.mkdirSync(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+                fs.writeFileSync(file, info.message);
+                console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject} | Saved to ${file}`);
+                return info;
+            }
+        };
+    }
+
+    return {
+        sendMail: async (message) => {
+            console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+            return { messageId: null };
+        }
+    };
+}
+
+let transport = createDefaultTransport(TRANSPORT_KIND);
+console.log('📧 Mail transport:', TRANSPORT_KIND);
+if (isProduction && !process.env.MAIL_TRANSPORT && !process.env.SMTP_HOST) {
+    console.warn('⚠️  SMTP_HOST is not set; outgoing email (password resets, verification) is disabled');
+}
+
+// Replace the transport (anything with an async sendMail(message), e.g. a nodemailer transport)
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+// Send a plain-text email. Failures are logged and reported as false rather than thrown,
+// since mail is always a side channel to something already stored in the app.
+async function sendMail({ to, subject, text }) {
+    if (!transport) {
+        return false;
+    }
+
+    try {
+        await transport.sendMail({ from: MAIL_FROM, to, subject, text });
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to send email:', error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    sendMail,
+    setTransport
+};
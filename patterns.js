@@ -0,0 +1,202 @@
+// ============= WIN PATTERNS =============
+// Pattern engine for bingo cards. A card (or a group challenge) declares which patterns count;
+// each entry is either a built-in pattern ID or a custom mask { name, mask } where mask is a
+// size x size grid of 0/1 values.
+
+// Rows, columns and both diagonals - what every card counted before patterns were configurable
+const DEFAULT_PATTERNS = ['row', 'column', 'diagonal'];
+
+const BUILT_IN_PATTERNS = {
+    'row': 'Any full row',
+    'column': 'Any full column',
+    'diagonal': 'Either full diagonal',
+    'four-corners': 'All four corners',
+    'x': 'Both diagonals',
+    'plus': 'Middle row and middle column',
+    'outer-frame': 'Every tile on the edge of the card',
+    'blackout': 'Every tile on the card'
+};
+
+// Bonus points added to a card's score for each achieved pattern instance
+const PATTERN_BONUS_POINTS = {
+    'row': 5,
+    'column': 5,
+    'diagonal': 5,
+    'four-corners': 3,
+    'x': 10,
+    'plus': 10,
+    'outer-frame': 15,
+    'blackout': 25
+};
+const CUSTOM_PATTERN_BONUS_POINTS = 5;
+
+const MAX_CUSTOM_PATTERN_NAME_LENGTH = 50;
+
+// Middle row/column indexes (two of them on even sizes)
+function middleIndexes(size) {
+    const half = Math.floor(size / 2);
+    return size % 2 === 1 ? [half] : [half - 1, half];
+}
+
+// Expand a pattern entry into its instances: each instance is a list of [row, col] cells
+// that must all be completed. Rows, columns and diagonals have one instance per line.
+function getPatternInstances(pattern, size) {
+    const all = [];
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            all.push([row, col]);
+        }
+    }
+    const last = size - 1;
+
+    if (pattern && typeof pattern === 'object') {
+        return [all.filter(([row, col]) => pattern.mask[row] && pattern.mask[row][col])];
+    }
+
+    switch (pattern) {
+        case 'row':
+            return Array.from({ length: size }, (_, row) => all.filter(([r]) => r === row));
+        case 'column':
+            return Array.from({ length: size }, (_, col) => all.filter(([, c]) => c === col));
+        case 'diagonal':
+            return [
+                all.filter(([r, c]) => r === c),
+                all.filter(([r, c]) => r + c === last)
+            ];
+        case 'four-corners':
+            return [[[0, 0], [0, last], [last, 0], [last, last]]];
+        case 'x':
+            return [all.filter(([r, c]) => r === c || r + c === last)];
+        case 'plus': {
+            const mids = middleIndexes(size);
+            return [all.filter(([r, c]) => mids.includes(r) || mids.includes(c))];
+        }
+        case 'outer-frame':
+            return [all.filter(([r, c]) => r === 0 || c === 0 || r === last || c === last)];
+        case 'blackout':
+            return [all];
+        default:
+            return [];
+    }
+}
+
+// Stable ID used when reporting a pattern (custom masks are reported as "custom:<name>")
+function getPatternId(pattern) {
+    return pattern && typeof pattern === 'object' ? `custom:${pattern.name}` : pattern;
+}
+
+// Validate a list of pattern entries for a card of the given size (size may be null for
+// group challenges, in which case custom masks are checked against each card when evaluated).
+// Returns a list of { field, message } errors.
+function validatePatterns(patterns, size) {
+    const errors = [];
+
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+        errors.push({ field: 'patterns', message: 'Patterns must be a non-empty list' });
+        return errors;
+    }
+
+    const seen = new Set();
+    patterns.forEach((pattern, index) => {
+        const field = `patterns[${index}]`;
+
+        if (typeof pattern === 'string') {
+            if (!BUILT_IN_PATTERNS[pattern]) {
+                errors.push({ field, message: `Unknown pattern. Use one of ${Object.keys(BUILT_IN_PATTERNS).join(', ')} or a custom mask` });
+            }
+        } else if (pattern && typeof pattern === 'object' && !Array.isArray(pattern)) {
+            if (typeof pattern.name !== 'string' || pattern.name.trim() === '' || pattern.name.length > MAX_CUSTOM_PATTERN_NAME_LENGTH) {
+                errors.push({ field: `${field}.name`, message: `Custom patterns need a name of at most ${MAX_CUSTOM_PATTERN_NAME_LENGTH} characters` });
+            }
+            const validMask = Array.isArray(pattern.mask)
+                && pattern.mask.every(row => Array.isArray(row))
+                && pattern.mask.some(row => row.some(Boolean));
+            if (!validMask) {
+                errors.push({ field: `${field}.mask`, message: 'Custom pattern mask must be a grid with at least one tile set' });
+            } else if (size && (pattern.mask.length !== size || pattern.mask.some(row => row.length !== size))) {
+                errors.push({ field: `${field}.mask`, message: `Custom pattern mask must be ${size}x${size}` });
+            }
+        } else {
+            errors.push({ field, message: 'Pattern must be a pattern ID or a custom mask' });
+            return;
+        }
+
+        const id = getPatternId(pattern);
+        if (seen.has(id)) {
+            errors.push({ field, message: 'Duplicate pattern' });
+        }
+        seen.add(id);
+    });
+
+    return errors;
+}
+
+// Bonus points for an achieved pattern (as reported by evaluatePatterns)
+function getPatternBonus(patternId) {
+    if (PATTERN_BONUS_POINTS[patternId] !== undefined) {
+        return PATTERN_BONUS_POINTS[patternId];
+    }
+    return CUSTOM_PATTERN_BONUS_POINTS;
+}
+
+// Evaluate patterns against a completion grid. Returns every achieved instance with the
+// time it was achieved (the latest completedAt among its tiles, or null if tiles carry no dates).
+function evaluatePatterns(completed, size, patterns = DEFAULT_PATTERNS) {
+    const achieved = [];
+
+    patterns.forEach(pattern => {
+        // Custom masks drawn for a different card size don't apply to this card
+        if (pattern && typeof pattern === 'object' && pattern.mask.length !== size) {
+            return;
+        }
+
+        getPatternInstances(pattern, size).forEach((cells, index) => {
+            if (cells.length === 0) return;
+
+            let achievedAt = null;
+            const complete = cells.every(([row, col]) => {
+                const value = completed[row] && completed[row][col];
+                if (value && value.completedAt && (!achievedAt || new Date(value.completedAt) > new Date(achievedAt))) {
+                    achievedAt = value.completedAt;
+                }
+                return !!value;
+            });
+
+            if (complete) {
+                achieved.push({ pattern: getPatternId(pattern), index, achievedAt });
+            }
+        });
+    });
+
+    return achieved;
+}
+
+// Cells ("row,col" keys) that belong to at least one achieved pattern instance, for highlighting
+function getAchievedCells(completed, size, patterns = DEFAULT_PATTERNS) {
+    const cells = new Set();
+    const achieved = evaluatePatterns(completed, size, patterns);
+
+    patterns.forEach(pattern => {
+        if (pattern && typeof pattern === 'object' && pattern.mask.length !== size) {
+            return;
+        }
+        const id = getPatternId(pattern);
+        getPatternInstances(pattern, size).forEach((instance, index) => {
+            if (achieved.some(entry => entry.pattern === id && entry.index === index)) {
+                instance.forEach(([row, col]) => cells.add(`${row},${col}`));
+            }
+        });
+    });
+
+    return cells;
+}
+
+module.exports = {
+    DEFAULT_PATTERNS,
+    BUILT_IN_PATTERNS,
+    PATTERN_BONUS_POINTS,
+    getPatternBonus,
+    validatePatterns,
+    evaluatePatterns,
+    getAchievedCells
+};
@@ -0,0 +1,127 @@
+// ============= TILE REMINDERS =============
+// Tiles can carry a dueDate (YYYY-MM-DD). A scheduler inside the server periodically turns
+// upcoming and overdue open tiles into in-app notifications, and emails them to owners who
+// haven't turned reminder emails off. Each reminder is only ever created once per tile/due date.
+
+const { cardQueries, notificationQueries } = require('./database');
+const { sendMail } = require('./mailer');
+
+// REMINDER_INTERVAL_MINUTES=0 turns the scheduler off
+const REMINDER_INTERVAL_MINUTES = process.env.REMINDER_INTERVAL_MINUTES !== undefined
+    ? parseFloat(process.env.REMINDER_INTERVAL_MINUTES)
+    : 60;
+// How many days before its due date a tile gets an "upcoming" reminder
+const REMINDER_DAYS_AHEAD = parseInt(process.env.REMINDER_DAYS_AHEAD) || 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// List a card's open tiles with due dates: overdue ones, and ones due within `days` days.
+// Dates are calendar days (UTC), so a tile due today has daysLeft 0 and isn't overdue yet.
+function getTileDeadlines(card, { today = toDateString(new Date()), days = 7 } = {}) {
+    const grid = JSON.parse(card.grid_data);
+    const completed = JSON.parse(card.completed_data);
+    const overdue = [];
+    const upcoming = [];
+
+    grid.forEach((rowValues, row) => (Array.isArray(rowValues) ? rowValues : []).forEach((cell, col) => {
+        if (!cell || typeof cell !== 'object' || !cell.dueDate) return;
+        if (completed[row] && completed[row][col]) return;
+
+        const daysLeft = Math.round((Date.parse(cell.dueDate) - Date.parse(today)) / DAY_MS);
+        const tile = { row, col, text: cell.text || '', dueDate: cell.dueDate, daysLeft };
+
+        if (daysLeft < 0) {
+            overdue.push(tile);
+        } else if (daysLeft <= days) {
+            upcoming.push(tile);
+        }
+    }));
+
+    const byDueDate = (a, b) => a.dueDate.localeCompare(b.dueDate) || a.row - b.row || a.col - b.col;
+    return { overdue: overdue.sort(byDueDate), upcoming: upcoming.sort(byDueDate) };
+}
+
+function describeReminder(kind, tile) {
+    if (kind === 'overdue') {
+        return `Overdue: ${tile.text}`;
+    }
+    if (tile.daysLeft === 0) {
+        return `Due today: ${tile.text}`;
+    }
+    return `Due in ${tile.daysLeft} day${tile.daysLeft === 1 ? '' : 's'}: ${tile.text}`;
+}
+
+// Create any reminders that are due as of `now`. Returns how many new notifications were created.
+async function runReminderCheck(now = new Date()) {
+    const today = toDateString(now);
+    let created = 0;
+
+    for (const card of cardQueries.getWithDueDates.all()) {
+        const { overdue, upcoming } = getTileDeadlines(card, { today, days: REMINDER_DAYS_AHEAD });
+        const reminders = [
+            ...upcoming.map(tile => ({ kind: 'upcoming', tile })),
+            ...overdue.map(tile => ({ kind: 'overdue', tile }))
+        ];
+
+        for (const { kind, tile } of reminders) {
+            const title = describeReminder(kind, tile);
+            const body = `"${tile.text}" on ${card.title ? `"${card.title}"` : 'your bingo card'} is due ${tile.dueDate}.`;
+            const result = notificationQueries.create.run(
+                card.user_id,
+                `tile-${kind}`,
+                title,
+                body,
+                JSON.stringify({ cardId: card.id, row: tile.row, col: tile.col, dueDate: tile.dueDate }),
+                `tile-${kind}:${card.id}:${tile.row}:${tile.col}:${tile.dueDate}`
+            );
+            if (result.changes === 0) continue;
+
+            created++;
+            if (card.reminder_emails) {
+                await sendMail({
+                    to: card.user_email,
+                    subject: title,
+                    text: `Hi ${card.user_name},\n\n${body}\n\nYou can turn these emails off in your notification settings.\n`
+                });
+            }
+        }
+    }
+
+    return created;
+}
+
+// Start the periodic reminder check (runs once shortly after startup, then every interval)
+function startReminderScheduler() {
+    if (!(REMINDER_INTERVAL_MINUTES > 0)) {
+        console.log('⏰ Reminder scheduler disabled');
+        return;
+    }
+
+    let running = false;
+    const tick = () => {
+        if (running) return;
+        running = true;
+        runReminderCheck()
+            .then(created => {
+                if (created > 0) console.log(`⏰ Created ${created} tile reminder(s)`);
+            })
+            .catch(error => console.error('❌ Reminder check failed:', error))
+            .finally(() => {
+                running = false;
+            });
+    };
+
+    setTimeout(tick, 1000).unref();
+    setInterval(tick, REMINDER_INTERVAL_MINUTES * 60 * 1000).unref();
+    console.log(`⏰ Reminder scheduler running every ${REMINDER_INTERVAL_MINUTES} minute(s)`);
+}
+
+module.exports = {
+    getTileDeadlines,
+    runReminderCheck,
+    startReminderScheduler
+};
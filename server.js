@@ -2,31 +2,171 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
-const { initializeDatabase, userQueries, cardQueries, friendshipQueries, commentQueries, reactionQueries, groupQueries, hiddenUsersQueries, adminQueries } = require('./database');
+const { db, initializeDatabase, userQueries, cardQueries, friendshipQueries, commentQueries, reactionQueries, groupQueries, hiddenUsersQueries, adminQueries, revisionQueries, templateQueries, progressQueries, attachmentQueries, journalQueries, checkinQueries, shareLinkQueries, sessionQueries, refreshTokenQueries, passwordResetQueries, emailVerificationQueries, twoFactorQueries, notificationQueries } = require('./database');
+const { ALLOWED_CARD_SIZES, validateCard, validateCardDetails, validateTileFields } = require('./validation');
+const { createRng, shuffleGrid, generateCard } = require('./cardGenerator');
+const { MAX_ATTACHMENT_BYTES, MAX_ATTACHMENTS_PER_TILE, upload, storeAttachment, removeAttachmentFiles, getAttachmentPath, getThumbnailPath } = require('./attachments');
+const { getTileDeadlines, startReminderScheduler } = require('./reminders');
+const { getTileHabit, summarizeHabit } = require('./habits');
+const { renderCardSvg, renderCardPng } = require('./cardImage');
+const { renderCardsPdf } = require('./cardPdf');
+const { getCardTiles, tilesToCsv, parseTaskCsv } = require('./cardTransfer');
+const { buildCalendar } = require('./calendar');
+const { sendMail } = require('./mailer');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+const { DEFAULT_PATTERNS, BUILT_IN_PATTERNS, PATTERN_BONUS_POINTS, getPatternBonus, validatePatterns, evaluatePatterns } = require('./patterns');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 
-// Helper function to calculate bingo stats
-function calculateBingoStats(card) {
+// Access tokens are short-lived; clients renew them with a refresh token via /api/auth/refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Password reset emails link to APP_URL/reset-password?token=...
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const MAX_PASSWORD_RESETS_PER_HOUR = 5;
+const MIN_PASSWORD_LENGTH = 8;
+
+// New accounts and changed emails get a verification link (APP_URL/verify-email?token=...).
+// With REQUIRE_VERIFIED_EMAIL=true, unverified accounts can't send friend requests or group invites.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const MAX_VERIFICATION_EMAILS_PER_HOUR = 5;
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+
+// Optional TOTP two-factor auth. With REQUIRE_ADMIN_2FA=true, admin routes refuse admins who haven't enabled it.
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Bingo Card';
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const TWO_FACTOR_LOCKOUT_MINUTES = 15;
+const RECOVERY_CODE_COUNT = 10;
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === 'true';
+
+// Tries at storing a tile completion derived from progress or check-ins before answering 409
+const DERIVED_COMPLETION_ATTEMPTS = 3;
+
+// Tiles without an explicit point value are worth this much
+const DEFAULT_TILE_POINTS = 1;
+
+// Journal entries carry an optional mood from this list
+const JOURNAL_MOODS = ['great', 'good', 'okay', 'low', 'bad'];
+const MAX_JOURNAL_ENTRY_LENGTH = 5000;
+
+// Helper function to read a card's win patterns (defaults to rows, columns and diagonals)
+function getCardPatterns(card) {
+    return card && card.win_patterns ? JSON.parse(card.win_patterns) : DEFAULT_PATTERNS;
+}
+
+// Helper function to read a tile's point value
+function getTilePoints(cell) {
+    if (cell && typeof cell === 'object' && Number.isInteger(cell.points)) {
+        return cell.points;
+    }
+    return DEFAULT_TILE_POINTS;
+}
+
+// Helper function to read a counter tile's numeric target (null for regular tiles)
+function getTileTarget(cell) {
+    if (cell && typeof cell === 'object' && typeof cell.target === 'number' && cell.target > 0) {
+        return cell.target;
+    }
+    return null;
+}
+
+// Helper function to load logged progress totals for a card's counter tiles, keyed by "row,col"
+function getProgressTotals(cardId, grid) {
+    const totals = {};
+    const hasCounters = grid.some(rowValues => Array.isArray(rowValues) && rowValues.some(cell => getTileTarget(cell) !== null));
+
+    if (hasCounters) {
+        progressQueries.getTotalsByCard.all(cardId).forEach(({ row, col, total }) => {
+            totals[`${row},${col}`] = total;
+        });
+    }
+    return totals;
+}
+
+// Helper function to summarize a card's habit tiles from their check-ins, keyed by "row,col"
+function getHabitSummaries(cardId, grid) {
+    const summaries = {};
+    const habits = {};
+    grid.forEach((rowValues, row) => (Array.isArray(rowValues) ? rowValues : []).forEach((cell, col) => {
+        const habit = getTileHabit(cell);
+        if (habit) habits[`${row},${col}`] = habit;
+    }));
+
+    if (Object.keys(habits).length > 0) {
+        const dates = {};
+        checkinQueries.getDatesByCard.all(cardId).forEach(({ row, col, checked_on }) => {
+            (dates[`${row},${col}`] = dates[`${row},${col}`] || []).push(checked_on);
+        });
+        Object.entries(habits).forEach(([key, habit]) => {
+            summaries[key] = summarizeHabit(habit, dates[key] || []);
+        });
+    }
+    return summaries;
+}
+
+// Helper function to summarize a revision from its own snapshot. Unlike calculateBingoStats it
+// doesn't read the card's progress or check-ins, which describe the card now, not back then.
+function getRevisionStats(revision) {
+    const completed = JSON.parse(revision.completed_data);
+    const tilesCompleted = completed.reduce((count, rowValues) => count + (Array.isArray(rowValues) ? rowValues.filter(Boolean).length : 0), 0);
+    return {
+        tilesCompleted,
+        bingosAchieved: evaluatePatterns(completed, revision.size, getCardPatterns(revision)).length
+    };
+}
+
+// Helper function to calculate bingo stats.
+// Bingos are counted with the card's win patterns unless others are passed (e.g. a group challenge's).
+function calculateBingoStats(card, patterns) {
     if (!card) {
-        return { tilesCompleted: 0, bingosAchieved: 0, lastTileDate: null };
+        return { tilesCompleted: 0, bingosAchieved: 0, lastTileDate: null, patternsAchieved: [], score: 0, partialProgress: 0, progressPercentage: 0 };
     }
 
+    const grid = JSON.parse(card.grid_data);
     const completed = JSON.parse(card.completed_data);
     const size = card.size;
+
+    const progressTotals = getProgressTotals(card.id, grid);
+
+    // Habit tiles count as complete once their overall goal is met, even before the stored
+    // completion grid has caught up (e.g. on a restored revision)
+    const habitSummaries = getHabitSummaries(card.id, grid);
+    Object.entries(habitSummaries).forEach(([key, summary]) => {
+        const [row, col] = key.split(',').map(Number);
+        if (summary.complete && completed[row] && !completed[row][col]) {
+            completed[row][col] = { completedAt: `${summary.completedOn}T00:00:00.000Z` };
+        }
+    });
     
-    // Count completed tiles
+    // Count completed tiles (and their points), plus partial progress on unfinished counter and habit tiles
     let tilesCompleted = 0;
+    let tilePoints = 0;
+    let partialProgress = 0;
     let lastTileDate = null;
     
     for (let row = 0; row < size; row++) {
         for (let col = 0; col < size; col++) {
+            const target = getTileTarget(grid[row] && grid[row][col]);
+            const habit = habitSummaries[`${row},${col}`];
+            if (target && !(completed[row] && completed[row][col])) {
+                partialProgress += Math.min((progressTotals[`${row},${col}`] || 0) / target, 1);
+            } else if (habit && !(completed[row] && completed[row][col])) {
+                partialProgress += Math.min(habit.periodsMet / habit.goalPeriods, 1);
+            }
+
             if (completed[row] && completed[row][col]) {
                 tilesCompleted++;
+                tilePoints += getTilePoints(grid[row] && grid[row][col]);
                 const tileDate = completed[row][col].completedAt;
                 if (tileDate && (!lastTileDate || new Date(tileDate) > new Date(lastTileDate))) {
                     lastTileDate = tileDate;
@@ -35,44 +175,433 @@ function calculateBingoStats(card) {
         }
     }
     
-    // Count bingos
-    let bingosAchieved = 0;
+    // Count bingos (each achieved pattern instance, e.g. each full row, counts once)
+    const patternsAchieved = evaluatePatterns(completed, size, patterns || getCardPatterns(card));
+    const bingosAchieved = patternsAchieved.length;
+
+    // Score: points for completed tiles plus a bonus per achieved pattern
+    const bonusPoints = patternsAchieved.reduce((sum, achieved) => sum + getPatternBonus(achieved.pattern), 0);
+    const score = tilePoints + bonusPoints;
+
+    const progressPercentage = Math.round(((tilesCompleted + partialProgress) / (size * size)) * 100);
     
-    // Check rows
+    return { tilesCompleted, bingosAchieved, lastTileDate, patternsAchieved, score, partialProgress, progressPercentage };
+}
+
+// Helper function to shape a bingo card row for API responses
+function formatCard(card, primaryCardId) {
+    const grid = JSON.parse(card.grid_data);
+    const progressTotals = getProgressTotals(card.id, grid);
+
+    // Logged totals for counter tiles
+    const tileProgress = [];
+    grid.forEach((rowValues, row) => (Array.isArray(rowValues) ? rowValues : []).forEach((cell, col) => {
+        const target = getTileTarget(cell);
+        if (target) {
+            tileProgress.push({ row, col, total: progressTotals[`${row},${col}`] || 0, target, unit: cell.unit || null });
+        }
+    }));
+
+    // Periods met and streaks for habit tiles
+    const habitProgress = Object.entries(getHabitSummaries(card.id, grid)).map(([key, summary]) => {
+        const [row, col] = key.split(',').map(Number);
+        return { row, col, ...summary };
+    });
+
+    return {
+        id: card.id,
+        userId: card.user_id,
+        title: card.title || '',
+        year: card.year,
+        version: card.version,
+        winPatterns: getCardPatterns(card),
+        isPrimary: primaryCardId !== undefined ? card.id === primaryCardId : undefined,
+        size: card.size,
+        grid,
+        completed: JSON.parse(card.completed_data),
+        tileProgress,
+        habitProgress,
+        createdAt: card.created_at,
+        updatedAt: card.updated_at
+    };
+}
+
+// Helper function to build a card's ETag from its ID and version
+function cardETag(card) {
+    return `"${card.id}-${card.version}"`;
+}
+
+// Helper function to read the card version a client edited, from If-Match or a body "version" field.
+// Returns null when neither is present and NaN when the value can't be parsed. If-Match may be "*"
+// (any version) or a list of ETags; ETags for a different card never match (-1 forces a conflict).
+function getExpectedVersion(req, card) {
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch) {
+        if (ifMatch.trim() === '*') {
+            return card.version;
+        }
+        const tags = ifMatch.split(',').map(tag => tag.trim().match(/^(?:W\/)?"?(?:(\d+)-)?(\d+)"?$/));
+        if (tags.some(tag => !tag)) {
+            return NaN;
+        }
+        const versions = tags
+            .filter(tag => tag[1] === undefined || parseInt(tag[1]) === card.id)
+            .map(tag => parseInt(tag[2]));
+        if (versions.length === 0) {
+            return -1;
+        }
+        return versions.includes(card.version) ? card.version : versions[0];
+    }
+    if (req.body && req.body.version !== undefined && req.body.version !== null) {
+        return parseInt(req.body.version);
+    }
+    return null;
+}
+
+// Helper function to reject a stale card write, returning the server's current state so the client can merge
+function sendCardConflict(res, cardId) {
+    const current = cardQueries.findById.get(cardId);
+    res.set('ETag', cardETag(current));
+    return res.status(409).json({
+        error: 'Bingo card was changed by another device. Merge with the current version and try again.',
+        card: formatCard(current)
+    });
+}
+
+// Helper function to require a valid expected version for updates to an existing card
+function checkExpectedVersion(req, res, card) {
+    const expectedVersion = getExpectedVersion(req, card);
+    if (expectedVersion === null) {
+        res.set('ETag', cardETag(card));
+        res.status(428).json({
+            error: 'If-Match header or version is required to update an existing card',
+            version: card.version
+        });
+        return null;
+    }
+    if (isNaN(expectedVersion)) {
+        res.status(400).json({ error: 'Invalid card version' });
+        return null;
+    }
+    return expectedVersion;
+}
+
+// Helper function to stamp completion dates server-side so clients can't backdate or forge them.
+// Tiles that were already complete keep their recorded date; newly completed tiles get the current time.
+function stampCompletionDates(previousCompleted, completed) {
+    const now = new Date().toISOString();
+
+    return completed.map((rowValues, row) => (Array.isArray(rowValues) ? rowValues : []).map((value, col) => {
+        if (!value) {
+            return false;
+        }
+
+        const previous = previousCompleted && previousCompleted[row] && previousCompleted[row][col];
+        const completedAt = previous && previous.completedAt ? previous.completedAt : now;
+        return typeof value === 'object' ? { ...value, completedAt } : { completedAt };
+    }));
+}
+
+// Helper function to build an empty completion grid for a card of the given size
+function emptyCompleted(size) {
+    return Array(size).fill(null).map(() => Array(size).fill(false));
+}
+
+// Helper function to answer with field-level validation errors
+function sendValidationErrors(res, errors, message = 'Invalid bingo card') {
+    return res.status(400).json({ error: message, details: errors });
+}
+
+// Helper function to sync a counter tile's completion with its logged progress: it completes
+// once the total reaches the target, and reopens if deleted entries drop it below again
+// (tiles without a target keep whatever completion they have). Returns null if the card kept changing.
+function syncCounterTile(card, row, col) {
+    let target = null;
+    let total = 0;
+    const completed = setDerivedCompletion(card, row, col, current => {
+        const grid = JSON.parse(current.grid_data);
+        target = getTileTarget(grid[row] && grid[row][col]);
+        ({ total } = progressQueries.getTileTotal.get(current.id, row, col));
+        return target === null ? null : { completed: total >= target, completedAt: new Date().toISOString() };
+    });
+
+    return completed === null ? null : { total, target, completed };
+}
+
+// Helper function to sync a habit tile's completion with its check-ins: it completes once
+// the habit's overall goal is met and reopens if check-ins are removed below it. Returns null if the card kept changing.
+function syncHabitTile(card, row, col) {
+    let summary = null;
+    const completed = setDerivedCompletion(card, row, col, current => {
+        const grid = JSON.parse(current.grid_data);
+        const habit = getTileHabit(grid[row] && grid[row][col]);
+        if (!habit) return null;
+        const dates = checkinQueries.getByTile.all(current.id, row, col).map(checkin => checkin.checked_on);
+        summary = summarizeHabit(habit, dates);
+        return { completed: summary.complete, completedAt: summary.complete ? `${summary.completedOn}T00:00:00.000Z` : null };
+    });
+
+    return completed === null ? null : { habit: summary, completed };
+}
+
+// Helper function to store a tile completion derived from logged data (progress or check-ins).
+// derive(card) returns { completed, completedAt } for the tile, or null to leave it as it is.
+// A write that loses to a concurrent save is retried against the fresh card (and derived again).
+// Returns whether the tile is completed as stored, or null if every attempt lost.
+function setDerivedCompletion(card, row, col, derive) {
+    let current = card;
+    for (let attempt = 0; attempt < DERIVED_COMPLETION_ATTEMPTS && current; attempt++) {
+        const completedData = JSON.parse(current.completed_data);
+        completedData[row] = completedData[row] || [];
+        const isCompleted = !!completedData[row][col];
+        const derived = derive(current);
+
+        if (!derived || derived.completed === isCompleted) {
+            return isCompleted;
+        }
+
+        completedData[row][col] = derived.completed ? { completedAt: derived.completedAt } : false;
+        const result = cardQueries.update.run(
+            current.size,
+            current.grid_data,
+            JSON.stringify(completedData),
+            current.title,
+            current.year,
+            current.id,
+            current.version
+        );
+        if (result.changes > 0) {
+            revisionQueries.createFromCard.run('progress', current.id);
+            return derived.completed;
+        }
+        current = cardQueries.findById.get(card.id);
+    }
+
+    return null;
+}
+
+// Helper function to write a tile's logged data (progress or check-ins) and sync its completion in
+// one transaction: if sync() returns null because the card kept changing, the write is rolled back
+// as well, so retrying after the 409 doesn't count it twice. Returns { written, synced }, or null.
+function writeAndSyncTile(write, sync) {
+    try {
+        return db.transaction(() => {
+            const written = write();
+            const synced = sync();
+            if (!synced) {
+                const error = new Error('Tile completion could not be stored');
+                error.conflict = true;
+                throw error;
+            }
+            return { written, synced };
+        })();
+    } catch (error) {
+        if (error.conflict) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Helper function to shape a tile attachment row for API responses
+function formatAttachment(attachment) {
+    return {
+        id: attachment.id,
+        cardId: attachment.card_id,
+        row: attachment.row,
+        col: attachment.col,
+        originalName: attachment.original_name,
+        mimeType: attachment.mime_type,
+        sizeBytes: attachment.size_bytes,
+        url: `/api/attachments/${attachment.id}`,
+        thumbnailUrl: attachment.thumbnail_name ? `/api/attachments/${attachment.id}/thumbnail` : null,
+        createdAt: attachment.created_at
+    };
+}
+
+// Helper function to validate journal entry fields (only the ones present are checked)
+function validateJournalEntry({ body, mood, date, shared }) {
+    const errors = [];
+
+    if (body !== undefined && (typeof body !== 'string' || body.trim() === '' || body.length > MAX_JOURNAL_ENTRY_LENGTH)) {
+        errors.push({ field: 'body', message: `Entry must be text of 1 to ${MAX_JOURNAL_ENTRY_LENGTH} characters` });
+    }
+    if (mood !== undefined && mood !== null && !JOURNAL_MOODS.includes(mood)) {
+        errors.push({ field: 'mood', message: `Mood must be one of ${JOURNAL_MOODS.join(', ')}` });
+    }
+    if (date !== undefined && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date)))) {
+        errors.push({ field: 'date', message: 'Date must be in YYYY-MM-DD format' });
+    }
+    if (shared !== undefined && typeof shared !== 'boolean') {
+        errors.push({ field: 'shared', message: 'Shared must be true or false' });
+    }
+
+    return errors;
+}
+
+// Helper function to shape a journal entry row for API responses
+function formatJournalEntry(entry) {
+    return {
+        id: entry.id,
+        cardId: entry.card_id,
+        row: entry.row,
+        col: entry.col,
+        body: entry.body,
+        mood: entry.mood,
+        date: entry.entry_date,
+        shared: !!entry.shared,
+        createdAt: entry.created_at,
+        updatedAt: entry.updated_at
+    };
+}
+
+// Helper function to find one of the user's own cards: a specific card ID, or their primary card
+function findOwnCard(userId, cardId) {
+    if (cardId) {
+        const card = cardQueries.findById.get(parseInt(cardId));
+        return card && card.user_id === userId ? card : null;
+    }
+    return cardQueries.findByUserId.get(userId);
+}
+
+// Helper function to read a tile's text (cells are { text, type } objects, older cards may store strings)
+function getCellText(cell) {
+    if (cell === null || cell === undefined) return '';
+    if (typeof cell === 'object') return cell.text || '';
+    return String(cell);
+}
+
+// Helper function to diff two card snapshots (revisions or card rows) tile by tile
+function diffCardSnapshots(from, to) {
+    const fromGrid = JSON.parse(from.grid_data);
+    const toGrid = JSON.parse(to.grid_data);
+    const fromCompleted = JSON.parse(from.completed_data);
+    const toCompleted = JSON.parse(to.completed_data);
+    const size = Math.max(from.size, to.size);
+
+    const diff = { added: [], removed: [], changed: [], completed: [], uncompleted: [] };
+
     for (let row = 0; row < size; row++) {
-        let complete = true;
         for (let col = 0; col < size; col++) {
-            if (!completed[row] || !completed[row][col]) {
-                complete = false;
-                break;
+            const before = getCellText(fromGrid[row] && fromGrid[row][col]);
+            const after = getCellText(toGrid[row] && toGrid[row][col]);
+
+            if (!before && after) {
+                diff.added.push({ row, col, text: after });
+            } else if (before && !after) {
+                diff.removed.push({ row, col, text: before });
+            } else if (before !== after) {
+                diff.changed.push({ row, col, from: before, to: after });
+            }
+
+            const wasCompleted = !!(fromCompleted[row] && fromCompleted[row][col]);
+            const isCompleted = !!(toCompleted[row] && toCompleted[row][col]);
+            if (!wasCompleted && isCompleted) {
+                diff.completed.push({ row, col, text: after });
+            } else if (wasCompleted && !isCompleted) {
+                diff.uncompleted.push({ row, col, text: after || before });
             }
         }
-        if (complete) bingosAchieved++;
     }
-    
-    // Check columns
-    for (let col = 0; col < size; col++) {
-        let complete = true;
-        for (let row = 0; row < size; row++) {
-            if (!completed[row] || !completed[row][col]) {
-                complete = false;
-                break;
-            }
+
+    return diff;
+}
+
+// Helper function to summarize a card row (from getAllByUserId) for card lists
+function formatCardSummary(card) {
+    return {
+        id: card.id,
+        title: card.title || '',
+        year: card.year,
+        size: card.size,
+        isPrimary: !!card.is_primary,
+        ...calculateBingoStats(card),
+        createdAt: card.created_at,
+        updatedAt: card.updated_at
+    };
+}
+
+// Helper function to check whether a user may view a card (owner or accepted friend of owner)
+function canViewCard(userId, card) {
+    if (card.user_id === userId) {
+        return true;
+    }
+
+    const friendship = friendshipQueries.checkFriendship.get(
+        userId, card.user_id, card.user_id, userId
+    );
+    return !!friendship && friendship.status === 'accepted';
+}
+
+// Helper function to read a tile's visibility ('visible' unless the owner made it private or hidden)
+function getTileVisibility(cell) {
+    return cell && typeof cell === 'object' && cell.visibility ? cell.visibility : 'visible';
+}
+
+// Helper function to give a viewer their view of a card row. For anyone but the owner (viewerId null
+// for public share links), private and hidden tiles lose their details, and hidden tiles also show as
+// not completed. Every route that shows card contents or stats to other people goes through this.
+function cardForViewer(card, viewerId) {
+    if (!card || card.user_id === viewerId) {
+        return card;
+    }
+
+    const grid = JSON.parse(card.grid_data);
+    const completed = JSON.parse(card.completed_data);
+    let redacted = false;
+
+    grid.forEach((rowValues, row) => (Array.isArray(rowValues) ? rowValues : []).forEach((cell, col) => {
+        const visibility = getTileVisibility(cell);
+        if (visibility === 'visible') return;
+
+        redacted = true;
+        rowValues[col] = { text: 'Private tile', visibility, redacted: true };
+        if (visibility === 'private' && Number.isInteger(cell.points)) {
+            rowValues[col].points = cell.points;
         }
-        if (complete) bingosAchieved++;
+        if (visibility === 'hidden' && completed[row]) {
+            completed[row][col] = false;
+        }
+    }));
+
+    return redacted
+        ? { ...card, grid_data: JSON.stringify(grid), completed_data: JSON.stringify(completed) }
+        : card;
+}
+
+// Helper function to check whether a viewer may see a tile's details (progress, check-ins, journal, evidence)
+function canViewTile(viewerId, card, row, col) {
+    if (card.user_id === viewerId) {
+        return true;
     }
-    
-    // Check diagonals
-    let diag1Complete = true;
-    let diag2Complete = true;
-    for (let i = 0; i < size; i++) {
-        if (!completed[i] || !completed[i][i]) diag1Complete = false;
-        if (!completed[i] || !completed[i][size - 1 - i]) diag2Complete = false;
-    }
-    if (diag1Complete) bingosAchieved++;
-    if (diag2Complete) bingosAchieved++;
-    
-    return { tilesCompleted, bingosAchieved, lastTileDate };
+    const grid = JSON.parse(card.grid_data);
+    return getTileVisibility(grid[row] && grid[row][col]) === 'visible';
+}
+
+// Helper function to create a card, making it the user's primary card if requested or if it's their first
+function createCard(userId, { size, grid, completed, title, year }, makePrimary) {
+    const result = cardQueries.create.run(
+        userId,
+        size,
+        JSON.stringify(grid),
+        JSON.stringify(stampCompletionDates(null, completed)),
+        title ? String(title).trim() : '',
+        year ? parseInt(year) : new Date().getFullYear()
+    );
+    const cardId = Number(result.lastInsertRowid);
+    revisionQueries.createFromCard.run('create', cardId);
+
+    const current = userQueries.getPrimaryCardId.get(userId);
+    if (makePrimary || !current || !current.primary_card_id) {
+        userQueries.setPrimaryCard.run(cardId, userId);
+    }
+
+    return cardId;
+}
+
+// Behind a reverse proxy, set TRUST_PROXY so session IP addresses come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
 }
 
 // Middleware
@@ -95,11 +624,176 @@ function authenticateToken(req, res, next) {
         if (err) {
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
+        // Access tokens from a session stop working as soon as it's logged out or revoked. Tokens
+        // without a session (the old 30-day tokens) can't be revoked, so they're no longer accepted.
+        if (!user.sid || !sessionQueries.findActive.get(user.sid)) {
+            return res.status(403).json({ error: 'Invalid or expired token' });
+        }
+        sessionQueries.touch.run(req.get('user-agent') || null, req.ip || null, user.sid);
         req.user = user;
         next();
     });
 }
 
+// Helper function to check a new password (registration, profile changes and resets).
+// Returns a list of { field, message } errors.
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return [{ field: 'password', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }];
+    }
+    return [];
+}
+
+// Helper function to hash a refresh token for storage and lookup
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper function to issue an access token and a new refresh token for a session
+function issueAuthTokens(user, sessionId) {
+    const token = jwt.sign({ userId: user.id, email: user.email, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    const { iat, exp } = jwt.decode(token);
+
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    refreshTokenQueries.create.run(sessionId, hashToken(refreshToken), refreshExpiresAt);
+
+    return { token, expiresIn: exp - iat, refreshToken, refreshExpiresAt };
+}
+
+// Helper function to start a login session for the requesting device and issue its first tokens
+function startSession(user, req) {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    sessionQueries.create.run(sessionId, user.id, req.get('user-agent') || null, req.ip || null);
+    return issueAuthTokens(user, sessionId);
+}
+
+// Helper function to email a verification link for the user's current address (earlier links stop working)
+function sendVerificationEmail(user) {
+    const verificationToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    emailVerificationQueries.invalidateForUser.run(user.id);
+    emailVerificationQueries.create.run(user.id, user.email, hashToken(verificationToken), expiresAt);
+
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your Bingo Card email address',
+        text: `Hi ${user.name},\n\nPlease confirm this is your email address by opening this link within `
+            + `${EMAIL_VERIFICATION_TTL_HOURS} hours:\n\n${APP_URL}/verify-email?token=${verificationToken}\n\n`
+            + `If you didn't create a Bingo Card account, you can ignore this email.\n`
+    });
+}
+
+// Middleware: when REQUIRE_VERIFIED_EMAIL is on, only verified accounts may continue (use after authenticateToken)
+function requireVerifiedEmail(req, res, next) {
+    if (REQUIRE_VERIFIED_EMAIL) {
+        const row = userQueries.getEmailVerified.get(req.user.userId);
+        if (!row || !row.email_verified) {
+            return res.status(403).json({ error: 'Please verify your email address first' });
+        }
+    }
+    next();
+}
+
+// Helper function to replace a user's recovery codes; returns the new codes (only their hashes are kept)
+function generateRecoveryCodes(userId) {
+    twoFactorQueries.deleteRecoveryCodes.run(userId);
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const code = crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-');
+        twoFactorQueries.addRecoveryCode.run(userId, hashToken(normalizeRecoveryCode(code)));
+        codes.push(code);
+    }
+    return codes;
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Helper function to check whether code entry is locked after too many wrong codes
+function isSecondFactorLocked(userId) {
+    const twoFactor = userQueries.getTwoFactor.get(userId);
+    return !!(twoFactor && twoFactor.totp_locked_until && new Date(twoFactor.totp_locked_until) > new Date());
+}
+
+// Helper function to check a second factor: an authenticator code, or else a single-use recovery code.
+// Returns 'totp', 'recovery' or null. Accepted codes are used up. Wrong codes count against the
+// account (across challenges and sessions), and MAX_TWO_FACTOR_ATTEMPTS of them lock code entry
+// for TWO_FACTOR_LOCKOUT_MINUTES; callers check isSecondFactorLocked first to report that.
+function checkSecondFactor(userId, { code, recoveryCode }) {
+    const twoFactor = userQueries.getTwoFactor.get(userId);
+    if (!twoFactor || !twoFactor.totp_enabled || isSecondFactorLocked(userId)) return null;
+
+    let method = null;
+    if (code) {
+        const counter = verifyCode(twoFactor.totp_secret, code, { lastCounter: twoFactor.totp_last_counter });
+        if (counter !== null && userQueries.setTotpLastCounter.run(counter, userId, counter).changes > 0) {
+            method = 'totp';
+        }
+    } else if (recoveryCode && typeof recoveryCode === 'string') {
+        const result = twoFactorQueries.useRecoveryCode.run(userId, hashToken(normalizeRecoveryCode(recoveryCode)));
+        method = result.changes > 0 ? 'recovery' : null;
+    }
+
+    if (method) {
+        userQueries.resetTotpFailures.run(userId);
+    } else if (userQueries.recordTotpFailure.get(userId).totp_failed_attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+        const lockedUntil = new Date(Date.now() + TWO_FACTOR_LOCKOUT_MINUTES * 60 * 1000).toISOString();
+        userQueries.lockTotp.run(lockedUntil, userId);
+    }
+    return method;
+}
+
+// Helper function to finish a login: start a session and send the tokens with the user
+function sendLoginSuccess(req, res, user, extra = {}) {
+    const tokens = startSession(user, req);
+    const twoFactorSetupRequired = REQUIRE_ADMIN_2FA && !!user.is_admin && !user.totp_enabled;
+
+    res.json({
+        message: 'Login successful',
+        ...tokens,
+        ...extra,
+        ...(twoFactorSetupRequired ? { twoFactorSetupRequired } : {}),
+        user: { 
+            id: user.id, 
+            name: user.name, 
+            username: user.username || null, 
+            email: user.email,
+            is_admin: user.is_admin || 0,
+            email_verified: user.email_verified || 0,
+            two_factor_enabled: user.totp_enabled || 0
+        }
+    });
+}
+
+// Helper function to give a session's user agent a readable device name, e.g. "Chrome on Windows"
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//], ['Chrome', /Chrome\//], ['Safari', /Safari\//]];
+    const systems = [['iOS', /iPhone|iPad|iPod/], ['Android', /Android/], ['Windows', /Windows/], ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]];
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (browser && system) return `${browser[0]} on ${system[0]}`;
+    if (browser || system) return (browser || system)[0];
+    return userAgent.split(/[\s/]/)[0] || 'Unknown device';
+}
+
+// Helper function to format a session for its owner
+function formatSession(session, currentSessionId) {
+    return {
+        id: session.id,
+        device: describeDevice(session.user_agent),
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_used_at,
+        current: session.id === currentSessionId
+    };
+}
+
 // ============= AUTH ROUTES =============
 
 // Register
@@ -110,6 +804,13 @@ app.post('/api/auth/register', async (req, res) => {
         if (!name || !email || !password) {
             return res.status(400).json({ error: 'Name, email, and password are required' });
         }
+        if (!EMAIL_PATTERN.test(email)) {
+            return sendValidationErrors(res, [{ field: 'email', message: 'Email must be a valid email address' }], 'Invalid email');
+        }
+        const passwordErrors = validatePassword(password);
+        if (passwordErrors.length > 0) {
+            return sendValidationErrors(res, passwordErrors, 'Invalid password');
+        }
 
         // Check if user exists
         const existingUser = userQueries.findByEmail.get(email);
@@ -135,15 +836,18 @@ app.post('/api/auth/register', async (req, res) => {
         } else {
             result = userQueries.create.run(name, email, hashedPassword);
         }
-        const userId = result.lastInsertRowid;
+        const userId = Number(result.lastInsertRowid);
+
+        // Not awaited: registration shouldn't wait on (or fail because of) the mail server
+        sendVerificationEmail({ id: userId, name, email });
 
-        // Generate token
-        const token = jwt.sign({ userId, email }, JWT_SECRET, { expiresIn: '30d' });
+        // Start a session with an access token and a refresh token
+        const tokens = startSession({ id: userId, email }, req);
 
         res.status(201).json({
             message: 'User created successfully',
-            token,
-            user: { id: userId, name, username: username || null, email }
+            ...tokens,
+            user: { id: userId, name, username: username || null, email, email_verified: 0 }
         });
     } catch (error) {
         console.error('Register error:', error);
@@ -172,248 +876,2367 @@ app.post('/api/auth/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // Generate token
-        const token = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '30d' });
+        // With 2FA on, the password only earns a short-lived challenge to exchange at /api/auth/2fa/verify
+        if (user.totp_enabled) {
+            const challengeToken = crypto.randomBytes(32).toString('base64url');
+            const expiresAt = new Date(Date.now() + TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60 * 1000).toISOString();
+            twoFactorQueries.createChallenge.run(user.id, hashToken(challengeToken), expiresAt);
+
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken,
+                challengeExpiresAt: expiresAt
+            });
+        }
 
-        res.json({
-            message: 'Login successful',
-            token,
-            user: { 
-                id: user.id, 
-                name: user.name, 
-                username: user.username || null, 
-                email: user.email,
-                is_admin: user.is_admin || 0
-            }
-        });
+        // Start a session with an access token and a refresh token
+        sendLoginSuccess(req, res, user);
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ error: 'Failed to login' });
     }
 });
 
-// Get current user
-app.get('/api/auth/me', authenticateToken, (req, res) => {
+// Exchange a refresh token for a new access token and refresh token (the old one stops working).
+// Reusing an already-exchanged refresh token means it leaked, so the whole session is revoked.
+app.post('/api/auth/refresh', (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const stored = refreshTokenQueries.findByHash.get(hashToken(refreshToken));
+        if (!stored || stored.session_revoked_at) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        if (stored.used_at || refreshTokenQueries.markUsed.run(stored.id).changes === 0) {
+            sessionQueries.revoke.run('refresh_token_reuse', stored.session_id);
+            console.warn(`⚠️  Refresh token reuse detected for user ${stored.user_id}; session revoked`);
+            return res.status(401).json({ error: 'Refresh token has already been used; please log in again' });
+        }
+
+        if (new Date(stored.expires_at) <= new Date()) {
+            return res.status(401).json({ error: 'Refresh token has expired; please log in again' });
+        }
+
+        const user = userQueries.findById.get(stored.user_id);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        sessionQueries.touch.run(req.get('user-agent') || null, req.ip || null, stored.session_id);
+        res.json(issueAuthTokens(user, stored.session_id));
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+// Log out: revokes the session the refresh token belongs to, along with its access tokens
+app.post('/api/auth/logout', (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const stored = refreshTokenQueries.findByHash.get(hashToken(refreshToken));
+        if (stored) {
+            sessionQueries.revoke.run('logout', stored.session_id);
+        }
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Request a password reset email. Always answers the same way so it can't be used to find
+// out which emails have accounts.
+app.post('/api/auth/forgot-password', (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = userQueries.findByEmail.get(email.trim());
+        if (user && passwordResetQueries.countRecent.get(user.id, '-1 hour').count < MAX_PASSWORD_RESETS_PER_HOUR) {
+            const resetToken = crypto.randomBytes(32).toString('base64url');
+            const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString();
+            passwordResetQueries.invalidateForUser.run(user.id);
+            passwordResetQueries.create.run(user.id, hashToken(resetToken), expiresAt);
+
+            // Not awaited: the response time shouldn't depend on whether an email was sent
+            sendMail({
+                to: user.email,
+                subject: 'Reset your Bingo Card password',
+                text: `Hi ${user.name},\n\nSomeone asked to reset the password for your Bingo Card account. `
+                    + `To choose a new password, open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes:\n\n`
+                    + `${APP_URL}/reset-password?token=${resetToken}\n\n`
+                    + `If you didn't ask for this, you can ignore this email; your password won't change.\n`
+            });
+        }
+
+        res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+});
+
+// Set a new password with a reset token. The token works once, and every session is logged out.
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || typeof token !== 'string' || !password || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Reset token and new password are required' });
+        }
+        const passwordErrors = validatePassword(password);
+        if (passwordErrors.length > 0) {
+            return sendValidationErrors(res, passwordErrors, 'Invalid password');
+        }
+
+        const stored = passwordResetQueries.findByHash.get(hashToken(token));
+        if (!stored || stored.used_at || new Date(stored.expires_at) <= new Date()) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        // Claim the token after hashing so two concurrent requests can't both use it
+        if (passwordResetQueries.markUsed.run(stored.id).changes === 0) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        userQueries.updatePassword.run(hashedPassword, stored.user_id);
+        passwordResetQueries.invalidateForUser.run(stored.user_id);
+        sessionQueries.revokeAllForUser.run('password_reset', stored.user_id, null);
+
+        res.json({ message: 'Password has been reset; please log in with your new password' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Verify an email address with the token from a verification link
+app.post('/api/auth/verify-email', (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token || typeof token !== 'string') {
+            return res.status(400).json({ error: 'Verification token is required' });
+        }
+
+        const stored = emailVerificationQueries.findByHash.get(hashToken(token));
+        if (!stored || stored.used_at || new Date(stored.expires_at) <= new Date()) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+        if (emailVerificationQueries.markUsed.run(stored.id).changes === 0) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+
+        // The account's email may have changed since the link was sent
+        if (userQueries.verifyEmail.run(stored.user_id, stored.email).changes === 0) {
+            return res.status(400).json({ error: 'This link is for an email address no longer on the account' });
+        }
+
+        res.json({ message: 'Email address verified', email: stored.email });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// Send a fresh verification link to the current user's email
+app.post('/api/auth/resend-verification', authenticateToken, (req, res) => {
     try {
         const user = userQueries.findById.get(req.user.userId);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
-        res.json({ user });
+        if (userQueries.getEmailVerified.get(user.id).email_verified) {
+            return res.status(400).json({ error: 'Email address is already verified' });
+        }
+        if (emailVerificationQueries.countRecent.get(user.id, '-1 hour').count >= MAX_VERIFICATION_EMAILS_PER_HOUR) {
+            return res.status(429).json({ error: 'Too many verification emails; please try again later' });
+        }
+
+        sendVerificationEmail(user);
+        res.json({ message: 'Verification email sent', email: user.email });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// List the user's active sessions (signed-in devices), most recently seen first
+app.get('/api/auth/sessions', authenticateToken, (req, res) => {
+    try {
+        const sessions = sessionQueries.getActiveByUser.all(req.user.userId);
+        res.json({ sessions: sessions.map(session => formatSession(session, req.user.sid)) });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to get sessions' });
+    }
+});
+
+// Log out everywhere: revoke all of the user's sessions (?keepCurrent=true spares this one)
+app.delete('/api/auth/sessions', authenticateToken, (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+        const result = sessionQueries.revokeAllForUser.run('logout_everywhere', req.user.userId, keepCurrent ? req.user.sid : null);
+
+        res.json({ message: 'Logged out of all sessions', revoked: result.changes });
+    } catch (error) {
+        console.error('Revoke all sessions error:', error);
+        res.status(500).json({ error: 'Failed to log out of all sessions' });
+    }
+});
+
+// Revoke one session, e.g. a lost device
+app.delete('/api/auth/sessions/:id', authenticateToken, (req, res) => {
+    try {
+        const result = sessionQueries.revokeForUser.run('revoked_by_user', req.params.id, req.user.userId);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ message: 'Session revoked', current: req.params.id === req.user.sid });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// Get current user
+app.get('/api/auth/me', authenticateToken, (req, res) => {
+    try {
+        const user = userQueries.findById.get(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ user: { ...user, email_verified: userQueries.getEmailVerified.get(user.id).email_verified || 0 } });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({ error: 'Failed to get user' });
+    }
+});
+
+// Update user profile
+app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+    try {
+        const { name, username, email, password } = req.body;
+        const userId = req.user.userId;
+
+        if (!name || !email) {
+            return res.status(400).json({ error: 'Name and email are required' });
+        }
+        if (!EMAIL_PATTERN.test(email)) {
+            return sendValidationErrors(res, [{ field: 'email', message: 'Email must be a valid email address' }], 'Invalid email');
+        }
+        if (password) {
+            const passwordErrors = validatePassword(password);
+            if (passwordErrors.length > 0) {
+                return sendValidationErrors(res, passwordErrors, 'Invalid password');
+            }
+        }
+        const previousUser = userQueries.findById.get(userId);
+
+        // Check if username is taken by another user (if username queries available)
+        if (username && userQueries.findByUsername) {
+            const existingUsername = userQueries.findByUsername.get(username);
+            if (existingUsername && existingUsername.id !== userId) {
+                return res.status(409).json({ error: 'Username already taken' });
+            }
+        }
+
+        // Check if email is taken by another user
+        const existingEmail = userQueries.findByEmail.get(email);
+        if (existingEmail && existingEmail.id !== userId) {
+            return res.status(409).json({ error: 'Email already taken' });
+        }
+
+        // Update user (check if profile update queries are available)
+        if (password) {
+            const hashedPassword = await bcrypt.hash(password, 10);
+            if (userQueries.updateWithPassword) {
+                userQueries.updateWithPassword.run(name, username || null, email, hashedPassword, userId);
+            } else {
+                // Fallback: just update basic info without username
+                return res.status(501).json({ error: 'Password update not supported yet. Please contact support.' });
+            }
+        } else {
+            if (userQueries.updateProfile) {
+                userQueries.updateProfile.run(name, username || null, email, userId);
+            } else {
+                // Fallback: inform user
+                return res.status(501).json({ error: 'Profile update not fully supported yet. Please contact support.' });
+            }
+        }
+
+        // Get updated user
+        const updatedUser = userQueries.findById.get(userId);
+
+        // A new email address has to be verified again, and reset links sent to the old one stop working
+        const emailChanged = previousUser && previousUser.email !== updatedUser.email;
+        if (emailChanged) {
+            userQueries.setEmailVerified.run(0, userId);
+            passwordResetQueries.invalidateForUser.run(userId);
+            sendVerificationEmail(updatedUser);
+        }
+
+        res.json({ 
+            message: emailChanged ? 'Profile updated successfully; check your new email address for a verification link' : 'Profile updated successfully',
+            user: {
+                id: updatedUser.id,
+                name: updatedUser.name,
+                username: updatedUser.username || null,
+                email: updatedUser.email,
+                email_verified: userQueries.getEmailVerified.get(userId).email_verified || 0
+            }
+        });
+    } catch (error) {
+        console.error('Profile update error:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+// ============= TWO-FACTOR AUTH ROUTES =============
+
+// Get the current user's 2FA status
+app.get('/api/auth/2fa', authenticateToken, (req, res) => {
+    try {
+        const user = userQueries.findFullById.get(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            enabled: !!user.totp_enabled,
+            required: REQUIRE_ADMIN_2FA && !!user.is_admin,
+            recoveryCodesRemaining: user.totp_enabled ? twoFactorQueries.countUnusedRecoveryCodes.get(user.id).count : 0
+        });
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({ error: 'Failed to get two-factor status' });
+    }
+});
+
+// Start enrollment: a new secret and its otpauth:// URI (show as a QR code). Nothing changes until confirmed.
+app.post('/api/auth/2fa/setup', authenticateToken, (req, res) => {
+    try {
+        const user = userQueries.findFullById.get(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateSecret();
+        userQueries.setPendingTotpSecret.run(secret, user.id);
+
+        res.json({
+            secret,
+            otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER })
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Finish enrollment with a code from the authenticator app; returns recovery codes (shown once)
+app.post('/api/auth/2fa/confirm', authenticateToken, (req, res) => {
+    try {
+        const { code } = req.body;
+        const twoFactor = userQueries.getTwoFactor.get(req.user.userId);
+        if (!twoFactor) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (twoFactor.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!twoFactor.totp_pending_secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const counter = verifyCode(twoFactor.totp_pending_secret, code);
+        if (counter === null) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        userQueries.enableTotp.run(counter, req.user.userId);
+        const recoveryCodes = generateRecoveryCodes(req.user.userId);
+        // Sessions started before 2FA never passed a second factor, so end all but this one
+        sessionQueries.revokeAllForUser.run('two_factor_enabled', req.user.userId, req.user.sid);
+
+        res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+        console.error('2FA confirm error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// Second login step: exchange the challenge from /api/auth/login and a code (or recovery code) for tokens
+app.post('/api/auth/2fa/verify', (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        if (!challengeToken || typeof challengeToken !== 'string' || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Challenge token and an authentication code or recovery code are required' });
+        }
+
+        const challenge = twoFactorQueries.findChallengeByHash.get(hashToken(challengeToken));
+        if (!challenge || challenge.used_at || new Date(challenge.expires_at) <= new Date()) {
+            return res.status(401).json({ error: 'Invalid or expired login challenge; please log in again' });
+        }
+        if (challenge.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+            twoFactorQueries.useChallenge.run(challenge.id);
+            return res.status(401).json({ error: 'Too many attempts; please log in again' });
+        }
+        if (isSecondFactorLocked(challenge.user_id)) {
+            return res.status(429).json({ error: 'Too many wrong codes; please try again later' });
+        }
+
+        const method = checkSecondFactor(challenge.user_id, { code, recoveryCode });
+        if (!method) {
+            twoFactorQueries.recordChallengeAttempt.run(challenge.id);
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+        if (twoFactorQueries.useChallenge.run(challenge.id).changes === 0) {
+            return res.status(401).json({ error: 'Invalid or expired login challenge; please log in again' });
+        }
+
+        const user = userQueries.findFullById.get(challenge.user_id);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired login challenge; please log in again' });
+        }
+
+        const extra = method === 'recovery'
+            ? { recoveryCodesRemaining: twoFactorQueries.countUnusedRecoveryCodes.get(user.id).count }
+            : {};
+        sendLoginSuccess(req, res, user, extra);
+    } catch (error) {
+        console.error('2FA verify error:', error);
+        res.status(500).json({ error: 'Failed to verify two-factor code' });
+    }
+});
+
+// Replace the recovery codes (needs a current authenticator code)
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ error: 'Authentication code is required' });
+        }
+        if (isSecondFactorLocked(req.user.userId)) {
+            return res.status(429).json({ error: 'Too many wrong codes; please try again later' });
+        }
+        if (checkSecondFactor(req.user.userId, { code }) !== 'totp') {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = generateRecoveryCodes(req.user.userId);
+        res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+});
+
+// Turn 2FA off (needs the password and an authenticator or recovery code)
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Password and an authentication code or recovery code are required' });
+        }
+
+        const user = userQueries.findFullById.get(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (REQUIRE_ADMIN_2FA && user.is_admin) {
+            return res.status(403).json({ error: 'Admin accounts must keep two-factor authentication enabled' });
+        }
+        if (!(await bcrypt.compare(password, user.password))) {
+            return res.status(401).json({ error: 'Incorrect password' });
+        }
+        if (isSecondFactorLocked(user.id)) {
+            return res.status(429).json({ error: 'Too many wrong codes; please try again later' });
+        }
+        if (!checkSecondFactor(user.id, { code, recoveryCode })) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        userQueries.disableTotp.run(user.id);
+        twoFactorQueries.deleteRecoveryCodes.run(user.id);
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// ============= USER ROUTES =============
+
+// Search users
+app.get('/api/users/search', authenticateToken, (req, res) => {
+    try {
+        const { email } = req.query;
+        if (!email) {
+            return res.status(400).json({ error: 'Email query parameter required' });
+        }
+
+        const users = userQueries.searchByEmail.all(`%${email}%`);
+        // Filter out current user
+        const filteredUsers = users.filter(u => u.id !== req.user.userId);
+        res.json({ users: filteredUsers });
+    } catch (error) {
+        console.error('Search users error:', error);
+        res.status(500).json({ error: 'Failed to search users' });
+    }
+});
+
+// Get all users (for available users list)
+app.get('/api/users', authenticateToken, (req, res) => {
+    try {
+        const users = userQueries.getAll.all();
+        // Filter out current user
+        const filteredUsers = users.filter(u => u.id !== req.user.userId);
+        res.json({ users: filteredUsers });
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({ error: 'Failed to get users' });
+    }
+});
+
+// ============= BINGO CARD ROUTES =============
+
+// Create or update bingo card
+app.post('/api/cards', authenticateToken, (req, res) => {
+    try {
+        const { size, grid, completed, title, year } = req.body;
+
+        if (!size || !grid || !completed) {
+            return res.status(400).json({ error: 'Size, grid, and completed data are required' });
+        }
+
+        const errors = validateCard({ size, grid, completed, title, year });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        // Check if the user already has a primary card
+        const existingCard = cardQueries.findByUserId.get(req.user.userId);
+
+        let cardId;
+        if (existingCard) {
+            const expectedVersion = checkExpectedVersion(req, res, existingCard);
+            if (expectedVersion === null) return;
+
+            // Update existing primary card
+            const result = cardQueries.update.run(
+                size,
+                JSON.stringify(grid),
+                JSON.stringify(stampCompletionDates(JSON.parse(existingCard.completed_data), completed)),
+                title !== undefined ? String(title).trim() : existingCard.title,
+                year !== undefined ? parseInt(year) : existingCard.year,
+                existingCard.id,
+                expectedVersion
+            );
+            if (result.changes === 0) {
+                return sendCardConflict(res, existingCard.id);
+            }
+            cardId = existingCard.id;
+            revisionQueries.createFromCard.run('save', cardId);
+        } else {
+            // Create new card (becomes the primary card)
+            cardId = createCard(req.user.userId, { size, grid, completed, title, year }, true);
+        }
+
+        const saved = cardQueries.findById.get(cardId);
+        res.set('ETag', cardETag(saved));
+        res.json({ message: 'Bingo card saved successfully', cardId, version: saved.version });
+    } catch (error) {
+        console.error('Save card error:', error);
+        res.status(500).json({ error: 'Failed to save bingo card' });
+    }
+});
+
+// Update a single tile on your primary card (or ?cardId=): toggle completion, edit text/type/points/target, attach metadata
+app.patch('/api/cards/me/tiles/:row/:col', authenticateToken, (req, res) => {
+    try {
+        const row = parseInt(req.params.row);
+        const col = parseInt(req.params.col);
+        const { completed, text, type, metadata, points, target, unit, dueDate, habit, visibility } = req.body;
+        const edits = { text, type, metadata, points, target, unit, dueDate, habit, visibility };
+
+        if (completed === undefined && Object.values(edits).every(value => value === undefined)) {
+            return res.status(400).json({ error: 'At least one of completed, text, type, points, target, unit, dueDate, habit, visibility, or metadata is required' });
+        }
+        const errors = validateTileFields(edits, `grid[${row}][${col}]`);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const card = findOwnCard(req.user.userId, req.query.cardId);
+        if (!card) {
+            return res.status(404).json({ error: 'No bingo card found' });
+        }
+
+        if (isNaN(row) || isNaN(col) || row < 0 || col < 0 || row >= card.size || col >= card.size) {
+            return res.status(400).json({ error: `Tile position must be within a ${card.size}x${card.size} card` });
+        }
+
+        // Tile edits are applied server-side, so If-Match is optional here
+        const expectedVersion = getExpectedVersion(req, card);
+        if (expectedVersion !== null && expectedVersion !== card.version) {
+            return sendCardConflict(res, card.id);
+        }
+
+        const grid = JSON.parse(card.grid_data);
+        const completedData = JSON.parse(card.completed_data);
+        grid[row] = grid[row] || [];
+        completedData[row] = completedData[row] || [];
+
+        const current = grid[row][col];
+        const cell = current && typeof current === 'object' ? { ...current } : { text: getCellText(current) };
+
+        if (text !== undefined) {
+            cell.text = (text || '').trim();
+        }
+        if (type !== undefined) {
+            cell.type = type;
+        }
+        ['points', 'target', 'unit', 'dueDate', 'habit', 'visibility'].forEach(key => {
+            if (edits[key] === null) {
+                delete cell[key];
+            } else if (edits[key] !== undefined) {
+                cell[key] = edits[key];
+            }
+        });
+        if (metadata === null) {
+            delete cell.metadata;
+        } else if (metadata !== undefined) {
+            cell.metadata = { ...(cell.metadata || {}), ...metadata };
+        }
+        if (getTileTarget(cell) !== null && cell.habit) {
+            return sendValidationErrors(res, [{ field: `grid[${row}][${col}].habit`, message: 'A tile can have a target or a habit, not both' }]);
+        }
+        grid[row][col] = cell;
+
+        if (completed !== undefined) {
+            const previous = completedData[row][col];
+            if (!completed) {
+                completedData[row][col] = false;
+            } else if (!previous || !previous.completedAt) {
+                completedData[row][col] = { completedAt: new Date().toISOString() };
+            }
+        }
+
+        const result = cardQueries.update.run(
+            card.size,
+            JSON.stringify(grid),
+            JSON.stringify(completedData),
+            card.title,
+            card.year,
+            card.id,
+            card.version
+        );
+        if (result.changes === 0) {
+            return sendCardConflict(res, card.id);
+        }
+        revisionQueries.createFromCard.run('tile', card.id);
+
+        // A new target or habit rule can complete or reopen the tile against what's already logged
+        let saved = cardQueries.findById.get(card.id);
+        if (target !== undefined || habit !== undefined) {
+            const synced = getTileTarget(cell) !== null ? syncCounterTile(saved, row, col)
+                : getTileHabit(cell) ? syncHabitTile(saved, row, col)
+                : {};
+            if (!synced) {
+                return sendCardConflict(res, card.id);
+            }
+            saved = cardQueries.findById.get(card.id);
+        }
+
+        res.set('ETag', cardETag(saved));
+        res.json({
+            message: 'Tile updated successfully',
+            tile: { row, col, ...cell, completed: JSON.parse(saved.completed_data)[row][col] || false },
+            version: saved.version
+        });
+    } catch (error) {
+        console.error('Update tile error:', error);
+        res.status(500).json({ error: 'Failed to update tile' });
+    }
+});
+
+// Log progress on a counter tile of your primary card (or ?cardId=); completes the tile at its target
+app.post('/api/cards/me/tiles/:row/:col/progress', authenticateToken, (req, res) => {
+    try {
+        const row = parseInt(req.params.row);
+        const col = parseInt(req.params.col);
+        const { amount, note, date } = req.body;
+
+        if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+            return res.status(400).json({ error: 'Amount must be a number above 0' });
+        }
+        if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+            return res.status(400).json({ error: 'Note must be text of at most 500 characters' });
+        }
+        if (date !== undefined && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date)))) {
+            return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+        }
+
+        const card = findOwnCard(req.user.userId, req.query.cardId);
+        if (!card) {
+            return res.status(404).json({ error: 'No bingo card found' });
+        }
+
+        if (isNaN(row) || isNaN(col) || row < 0 || col < 0 || row >= card.size || col >= card.size) {
+            return res.status(400).json({ error: `Tile position must be within a ${card.size}x${card.size} card` });
+        }
+
+        const grid = JSON.parse(card.grid_data);
+        if (getTileTarget(grid[row] && grid[row][col]) === null) {
+            return res.status(400).json({ error: 'This tile has no numeric target' });
+        }
+
+        const logged = writeAndSyncTile(
+            () => progressQueries.create.run(
+                card.id,
+                req.user.userId,
+                row,
+                col,
+                amount,
+                note ? note.trim() : '',
+                date || new Date().toISOString().slice(0, 10)
+            ),
+            () => syncCounterTile(card, row, col)
+        );
+        if (!logged) {
+            return sendCardConflict(res, card.id);
+        }
+
+        res.status(201).json({
+            message: 'Progress logged successfully',
+            entry: progressQueries.findById.get(logged.written.lastInsertRowid),
+            ...logged.synced
+        });
+    } catch (error) {
+        console.error('Log tile progress error:', error);
+        res.status(500).json({ error: 'Failed to log progress' });
+    }
+});
+
+// Delete a progress entry from one of your counter tiles
+app.delete('/api/cards/me/tiles/:row/:col/progress/:entryId', authenticateToken, (req, res) => {
+    try {
+        const entry = progressQueries.findById.get(parseInt(req.params.entryId));
+        if (!entry || entry.user_id !== req.user.userId
+            || entry.row !== parseInt(req.params.row) || entry.col !== parseInt(req.params.col)) {
+            return res.status(404).json({ error: 'Progress entry not found' });
+        }
+
+        const card = findOwnCard(req.user.userId, entry.card_id);
+        if (!card) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        const deleted = writeAndSyncTile(
+            () => progressQueries.delete.run(entry.id, req.user.userId),
+            () => syncCounterTile(card, entry.row, entry.col)
+        );
+        if (!deleted) {
+            return sendCardConflict(res, card.id);
+        }
+
+        res.json({ message: 'Progress entry deleted', ...deleted.synced });
+    } catch (error) {
+        console.error('Delete tile progress error:', error);
+        res.status(500).json({ error: 'Failed to delete progress entry' });
+    }
+});
+
+// Check in on a habit tile of your primary card (or ?cardId=); completes the tile once the habit's goal is met
+app.post('/api/cards/me/tiles/:row/:col/checkins', authenticateToken, (req, res) => {
+    try {
+        const row = parseInt(req.params.row);
+        const col = parseInt(req.params.col);
+        const { date, note } = req.body;
+        const today = new Date().toISOString().slice(0, 10);
+
+        if (date !== undefined && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date)))) {
+            return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+        }
+        if (date > today) {
+            return res.status(400).json({ error: 'Check-ins cannot be in the future' });
+        }
+        if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+            return res.status(400).json({ error: 'Note must be text of at most 500 characters' });
+        }
+
+        const card = findOwnCard(req.user.userId, req.query.cardId);
+        if (!card) {
+            return res.status(404).json({ error: 'No bingo card found' });
+        }
+
+        if (isNaN(row) || isNaN(col) || row < 0 || col < 0 || row >= card.size || col >= card.size) {
+            return res.status(400).json({ error: `Tile position must be within a ${card.size}x${card.size} card` });
+        }
+
+        const grid = JSON.parse(card.grid_data);
+        if (!getTileHabit(grid[row] && grid[row][col])) {
+            return res.status(400).json({ error: 'This tile is not a habit' });
+        }
+
+        const checkedOn = date || today;
+        if (checkinQueries.findByDate.get(card.id, row, col, checkedOn)) {
+            return res.status(409).json({ error: 'Already checked in on this date' });
+        }
+
+        const recorded = writeAndSyncTile(
+            () => checkinQueries.create.run(card.id, req.user.userId, row, col, checkedOn, note ? note.trim() : ''),
+            () => syncHabitTile(card, row, col)
+        );
+        if (!recorded) {
+            return sendCardConflict(res, card.id);
+        }
+
+        res.status(201).json({
+            message: 'Check-in recorded successfully',
+            checkin: checkinQueries.findById.get(recorded.written.lastInsertRowid),
+            ...recorded.synced
+        });
+    } catch (error) {
+        console.error('Habit check-in error:', error);
+        res.status(500).json({ error: 'Failed to record check-in' });
+    }
+});
+
+// Delete a check-in from one of your habit tiles
+app.delete('/api/cards/me/tiles/:row/:col/checkins/:checkinId', authenticateToken, (req, res) => {
+    try {
+        const checkin = checkinQueries.findById.get(parseInt(req.params.checkinId));
+        if (!checkin || checkin.user_id !== req.user.userId
+            || checkin.row !== parseInt(req.params.row) || checkin.col !== parseInt(req.params.col)) {
+            return res.status(404).json({ error: 'Check-in not found' });
+        }
+
+        const card = findOwnCard(req.user.userId, checkin.card_id);
+        if (!card) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        const grid = JSON.parse(card.grid_data);
+        const isHabit = !!getTileHabit(grid[checkin.row] && grid[checkin.row][checkin.col]);
+        const deleted = writeAndSyncTile(
+            () => checkinQueries.delete.run(checkin.id, req.user.userId),
+            () => (isHabit ? syncHabitTile(card, checkin.row, checkin.col) : {})
+        );
+        if (!deleted) {
+            return sendCardConflict(res, card.id);
+        }
+
+        res.json({ message: 'Check-in deleted', ...deleted.synced });
+    } catch (error) {
+        console.error('Delete check-in error:', error);
+        res.status(500).json({ error: 'Failed to delete check-in' });
+    }
+});
+
+// Generate a card layout from a task list (same layout for the same tasks, size, options and seed).
+// Returns the grid; with save: true it is also stored as a new card.
+app.post('/api/cards/generate', authenticateToken, (req, res) => {
+    try {
+        const { tasks, size, freeSpace, balanceCategories, seed, save, title, year, makePrimary } = req.body;
+
+        if (!Array.isArray(tasks) || tasks.length === 0) {
+            return res.status(400).json({ error: 'A list of tasks is required' });
+        }
+
+        if (!Number.isInteger(size) || !ALLOWED_CARD_SIZES.includes(size)) {
+            return sendValidationErrors(res, [{ field: 'size', message: `Size must be one of ${ALLOWED_CARD_SIZES.join(', ')}` }]);
+        }
+
+        const errors = [];
+        tasks.forEach((task, index) => {
+            if (typeof task === 'string') {
+                errors.push(...validateTileFields({ text: task }, `tasks[${index}]`));
+            } else if (task && typeof task === 'object' && !Array.isArray(task)) {
+                // Every field toCell copies onto the tile is checked, same as a whole-card save
+                errors.push(...validateTileFields({ ...task, type: task.type || task.category }, `tasks[${index}]`));
+            } else {
+                errors.push({ field: `tasks[${index}]`, message: 'Task must be a string or an object with text' });
+            }
+        });
+        errors.push(...validateCardDetails({ title, year }));
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        let generated;
+        try {
+            generated = generateCard(tasks, size, { freeSpace, balanceCategories, seed });
+        } catch (error) {
+            if (error.field) {
+                return sendValidationErrors(res, [{ field: error.field, message: error.message }]);
+            }
+            throw error;
+        }
+
+        // The generated card goes through the same checks as any other card before it's returned or stored
+        const cardErrors = validateCard({ size, grid: generated.grid, completed: generated.completed, title, year });
+        if (cardErrors.length > 0) {
+            return sendValidationErrors(res, cardErrors);
+        }
+
+        if (!save) {
+            return res.json({ size, grid: generated.grid, completed: generated.completed, seed: generated.seed });
+        }
+
+        const cardId = createCard(req.user.userId, {
+            size,
+            grid: generated.grid,
+            completed: generated.completed,
+            title,
+            year
+        }, !!makePrimary);
+
+        const card = cardQueries.findById.get(cardId);
+        const primary = userQueries.getPrimaryCardId.get(req.user.userId);
+
+        res.status(201).json({
+            message: 'Bingo card generated successfully',
+            seed: generated.seed,
+            card: formatCard(card, primary.primary_card_id)
+        });
+    } catch (error) {
+        console.error('Generate card error:', error);
+        res.status(500).json({ error: 'Failed to generate bingo card' });
+    }
+});
+
+// Create an additional bingo card (e.g. next year's card or a themed side card)
+app.post('/api/cards/new', authenticateToken, (req, res) => {
+    try {
+        const { size, grid, completed, title, year, makePrimary } = req.body;
+
+        if (!size || !grid || !completed) {
+            return res.status(400).json({ error: 'Size, grid, and completed data are required' });
+        }
+
+        const errors = validateCard({ size, grid, completed, title, year });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const cardId = createCard(req.user.userId, { size, grid, completed, title, year }, !!makePrimary);
+        const card = cardQueries.findById.get(cardId);
+        const primary = userQueries.getPrimaryCardId.get(req.user.userId);
+
+        res.status(201).json({
+            message: 'Bingo card created successfully',
+            card: formatCard(card, primary.primary_card_id)
+        });
+    } catch (error) {
+        console.error('Create card error:', error);
+        res.status(500).json({ error: 'Failed to create bingo card' });
+    }
+});
+
+// Import a CSV of tasks as a new card. Send the CSV as a text/csv body (options in the query string)
+// or as JSON { csv, size, title, year, makePrimary }. Problems are reported per CSV line.
+app.post('/api/cards/import', authenticateToken, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? { csv: req.body } : req.body;
+        const options = { ...req.query, ...body };
+        const { csv, size, title, year, makePrimary } = options;
+
+        if (typeof csv !== 'string' || csv.trim() === '') {
+            return res.status(400).json({ error: 'CSV content is required' });
+        }
+
+        // Only tasks are imported: the new card starts with nothing completed, since completion
+        // state and dates are only ever recorded by the server
+        const parsed = parseTaskCsv(csv, { size });
+        const errors = [...parsed.errors];
+        if (errors.length === 0) {
+            errors.push(...validateCard({ size: parsed.size, grid: parsed.grid, completed: emptyCompleted(parsed.size), title, year }));
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors, 'Invalid CSV import');
+        }
+
+        const cardId = createCard(
+            req.user.userId,
+            { size: parsed.size, grid: parsed.grid, completed: emptyCompleted(parsed.size), title, year },
+            makePrimary === true || makePrimary === 'true'
+        );
+        const card = cardQueries.findById.get(cardId);
+        const primary = userQueries.getPrimaryCardId.get(req.user.userId);
+
+        res.status(201).json({
+            message: 'Bingo card imported successfully',
+            card: formatCard(card, primary.primary_card_id)
+        });
+    } catch (error) {
+        console.error('Import card error:', error);
+        res.status(500).json({ error: 'Failed to import bingo card' });
+    }
+});
+
+// Export your primary card (or ?cardId=) with tiles, completion dates and comments, as ?format=json (default) or csv
+app.get('/api/cards/me/export', authenticateToken, (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be json or csv' });
+        }
+
+        const card = findOwnCard(req.user.userId, req.query.cardId);
+        if (!card) {
+            return res.status(404).json({ error: 'No bingo card found' });
+        }
+
+        const tiles = getCardTiles(card, commentQueries.getByCard.all(card.id));
+        const filename = `bingo-card-${card.id}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            return res.type('text/csv').send(tilesToCsv(tiles));
+        }
+
+        const primary = userQueries.getPrimaryCardId.get(req.user.userId);
+        const { grid, completed, ...cardDetails } = formatCard(card, primary.primary_card_id);
+        res.json({
+            exportedAt: new Date().toISOString(),
+            card: cardDetails,
+            stats: calculateBingoStats(card),
+            tiles
+        });
+    } catch (error) {
+        console.error('Export card error:', error);
+        res.status(500).json({ error: 'Failed to export bingo card' });
+    }
+});
+
+// List the current user's bingo cards
+app.get('/api/cards', authenticateToken, (req, res) => {
+    try {
+        const cards = cardQueries.getAllByUserId.all(req.user.userId).map(formatCardSummary);
+
+        res.json({ cards });
+    } catch (error) {
+        console.error('List cards error:', error);
+        res.status(500).json({ error: 'Failed to get bingo cards' });
+    }
+});
+
+// Get user's primary bingo card, with its overdue tiles and tiles due within ?days= (default 7)
+app.get('/api/cards/me', authenticateToken, (req, res) => {
+    try {
+        const card = cardQueries.findByUserId.get(req.user.userId);
+        
+        if (!card) {
+            return res.status(404).json({ error: 'No bingo card found' });
+        }
+
+        const days = req.query.days !== undefined ? parseInt(req.query.days) : 7;
+        if (isNaN(days) || days < 0 || days > 366) {
+            return res.status(400).json({ error: 'Days must be a number from 0 to 366' });
+        }
+
+        res.set('ETag', cardETag(card));
+        res.json({ card: formatCard(card, card.id), deadlines: getTileDeadlines(card, { days }) });
+    } catch (error) {
+        console.error('Get card error:', error);
+        res.status(500).json({ error: 'Failed to get bingo card' });
+    }
+});
+
+// Clear all comments for user's card (when creating new card)
+app.delete('/api/cards/clear', authenticateToken, (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        // Defaults to the primary card; ?cardId= targets another of the user's cards
+        const card = req.query.cardId
+            ? cardQueries.findById.get(parseInt(req.query.cardId))
+            : cardQueries.findByUserId.get(userId);
+
+        if (card && card.user_id !== userId) {
+            return res.status(403).json({ error: 'You can only clear comments on your own cards' });
+        }
+
+        // Delete all comments on this card
+        const result = card
+            ? commentQueries.deleteByCard.run(card.id)
+            : { changes: 0 };
+
+        res.json({ 
+            message: 'All comments cleared successfully',
+            deletedCount: result.changes || 0
+        });
+    } catch (error) {
+        console.error('Clear comments error:', error);
+        res.status(500).json({ error: 'Failed to clear comments' });
+    }
+});
+
+// Get a specific bingo card (your own or an accepted friend's). Every route for one card by ID
+// lives under /api/v2/cards/:cardId: the unversioned /api/cards/:id has always been keyed by
+// user ID, so it stays read-only and user-keyed for existing clients.
+app.get('/api/v2/cards/:cardId', authenticateToken, (req, res) => {
+    try {
+        const cardId = parseInt(req.params.cardId);
+
+        const card = cardQueries.findById.get(cardId);
+        if (!card) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        if (!canViewCard(req.user.userId, card)) {
+            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+        }
+
+        const primary = userQueries.getPrimaryCardId.get(card.user_id);
+        res.set('ETag', cardETag(card));
+        res.json({ card: formatCard(cardForViewer(card, req.user.userId), primary && primary.primary_card_id) });
+    } catch (error) {
+        console.error('Get card error:', error);
+        res.status(500).json({ error: 'Failed to get bingo card' });
+    }
+});
+
+// Legacy: get a user's (primary) bingo card by user ID. Kept for existing clients; new clients
+// should list cards with GET /api/users/:userId/cards and fetch one with GET /api/v2/cards/:cardId.
+app.get('/api/cards/:userId', authenticateToken, (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+
+        const card = cardQueries.findByUserId.get(userId);
+        if (!card) {
+            return res.status(404).json({ error: 'Friend has no bingo card' });
+        }
+
+        if (!canViewCard(req.user.userId, card)) {
+            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+        }
+
+        res.set({
+            'Deprecation': 'true',
+            'Link': `</api/v2/cards/${card.id}>; rel="successor-version"`
+        });
+        res.json({ card: formatCard(cardForViewer(card, req.user.userId), card.id) });
+    } catch (error) {
+        console.error('Get friend card error:', error);
+        res.status(500).json({ error: 'Failed to get bingo card' });
+    }
+});
+
+// Helper function to render a card image (same permission check as the JSON card routes).
+// Routes keyed by :userId render the user's primary card, like GET /api/cards/:userId.
+async function sendCardImage(req, res, format) {
+    try {
+        const byUser = req.params.userId !== undefined;
+        const storedCard = byUser
+            ? cardQueries.findByUserId.get(parseInt(req.params.userId))
+            : cardQueries.findById.get(parseInt(req.params.cardId));
+        if (!storedCard) {
+            return res.status(404).json({ error: byUser ? 'Friend has no bingo card' : 'Bingo card not found' });
+        }
+
+        if (!canViewCard(req.user.userId, storedCard)) {
+            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+        }
+        const card = cardForViewer(storedCard, req.user.userId);
+
+        if (byUser) {
+            res.set({
+                'Deprecation': 'true',
+                'Link': `</api/v2/cards/${card.id}/image.${format}>; rel="successor-version"`
+            });
+        }
+
+        const owner = userQueries.findById.get(card.user_id);
+        const options = {
+            ownerName: owner ? owner.name : '',
+            patterns: getCardPatterns(card),
+            stats: calculateBingoStats(card)
+        };
+
+        res.set({
+            'Content-Disposition': `inline; filename="bingo-card-${card.id}.${format}"`,
+            'Cache-Control': 'private, no-cache'
+        });
+        if (format === 'png') {
+            res.type('image/png').send(await renderCardPng(card, options));
+        } else {
+            res.type('image/svg+xml').send(renderCardSvg(card, options));
+        }
+    } catch (error) {
+        console.error('Render card image error:', error);
+        res.status(500).json({ error: 'Failed to render card image' });
+    }
+}
+
+// Get a card as an SVG image (owner or accepted friend)
+app.get('/api/v2/cards/:cardId/image.svg', authenticateToken, (req, res) => {
+    sendCardImage(req, res, 'svg');
+});
+
+// Get a card as a PNG image (owner or accepted friend)
+app.get('/api/v2/cards/:cardId/image.png', authenticateToken, (req, res) => {
+    sendCardImage(req, res, 'png');
+});
+
+// Legacy: get a user's (primary) card as an SVG image (the user or an accepted friend)
+app.get('/api/cards/:userId/image.svg', authenticateToken, (req, res) => {
+    sendCardImage(req, res, 'svg');
+});
+
+// Legacy: get a user's (primary) card as a PNG image (the user or an accepted friend)
+app.get('/api/cards/:userId/image.png', authenticateToken, (req, res) => {
+    sendCardImage(req, res, 'png');
+});
+
+// Get a print-ready PDF of a card (owner or accepted friend)
+app.get('/api/v2/cards/:cardId/card.pdf', authenticateToken, async (req, res) => {
+    try {
+        const storedCard = cardQueries.findById.get(parseInt(req.params.cardId));
+        if (!storedCard) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        if (!canViewCard(req.user.userId, storedCard)) {
+            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+        }
+        const card = cardForViewer(storedCard, req.user.userId);
+
+        const owner = userQueries.findById.get(card.user_id);
+        const pdf = await renderCardsPdf([{
+            card,
+            ownerName: owner ? owner.name : '',
+            patterns: getCardPatterns(card),
+            stats: calculateBingoStats(card)
+        }], { title: card.title || 'Bingo Card' });
+
+        res.set('Content-Disposition', `inline; filename="bingo-card-${card.id}.pdf"`);
+        res.type('application/pdf').send(pdf);
+    } catch (error) {
+        console.error('Export card PDF error:', error);
+        res.status(500).json({ error: 'Failed to export card PDF' });
+    }
+});
+
+// Update a specific bingo card (owner only)
+app.put('/api/v2/cards/:cardId', authenticateToken, (req, res) => {
+    try {
+        const cardId = parseInt(req.params.cardId);
+        const { grid, completed, title, year } = req.body;
+
+        if (!grid || !completed) {
+            return res.status(400).json({ error: 'Grid and completed data are required' });
+        }
+
+        const card = cardQueries.findById.get(cardId);
+        if (!card || card.user_id !== req.user.userId) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        // Size may change on update, as long as the grid matches it
+        const size = req.body.size !== undefined ? req.body.size : card.size;
+        const errors = validateCard({ size, grid, completed, title, year });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const expectedVersion = checkExpectedVersion(req, res, card);
+        if (expectedVersion === null) return;
+
+        const result = cardQueries.update.run(
+            size,
+            JSON.stringify(grid),
+            JSON.stringify(stampCompletionDates(JSON.parse(card.completed_data), completed)),
+            title !== undefined ? String(title).trim() : card.title,
+            year !== undefined ? parseInt(year) : card.year,
+            cardId,
+            expectedVersion
+        );
+        if (result.changes === 0) {
+            return sendCardConflict(res, cardId);
+        }
+        revisionQueries.createFromCard.run('save', cardId);
+
+        const saved = cardQueries.findById.get(cardId);
+        res.set('ETag', cardETag(saved));
+        res.json({ message: 'Bingo card saved successfully', cardId, version: saved.version });
+    } catch (error) {
+        console.error('Update card error:', error);
+        res.status(500).json({ error: 'Failed to save bingo card' });
+    }
+});
+
+// Get a habit tile's check-ins with its periods met and streaks (your own card or an accepted friend's)
+app.get('/api/v2/cards/:cardId/tiles/:row/:col/checkins', authenticateToken, (req, res) => {
+    try {
+        const row = parseInt(req.params.row);
+        const col = parseInt(req.params.col);
+
+        const card = cardQueries.findById.get(parseInt(req.params.cardId));
+        if (!card) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        if (!canViewCard(req.user.userId, card)) {
+            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+        }
+
+        if (!canViewTile(req.user.userId, card, row, col)) {
+            return res.status(403).json({ error: 'This tile is private' });
+        }
+
+        const grid = JSON.parse(card.grid_data);
+        const habit = getTileHabit(grid[row] && grid[row][col]);
+        const checkins = checkinQueries.getByTile.all(card.id, row, col);
+
+        res.json({
+            habit: habit ? summarizeHabit(habit, checkins.map(checkin => checkin.checked_on)) : null,
+            checkins
+        });
+    } catch (error) {
+        console.error('Get check-ins error:', error);
+        res.status(500).json({ error: 'Failed to get check-ins' });
+    }
+});
+
+// Get the progress log for a counter tile (your own card or an accepted friend's)
+app.get('/api/v2/cards/:cardId/tiles/:row/:col/progress', authenticateToken, (req, res) => {
+    try {
+        const row = parseInt(req.params.row);
+        const col = parseInt(req.params.col);
+
+        const card = cardQueries.findById.get(parseInt(req.params.cardId));
+        if (!card) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        if (!canViewCard(req.user.userId, card)) {
+            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+        }
+
+        if (!canViewTile(req.user.userId, card, row, col)) {
+            return res.status(403).json({ error: 'This tile is private' });
+        }
+
+        const grid = JSON.parse(card.grid_data);
+        const cell = grid[row] && grid[row][col];
+        const entries = progressQueries.getByTile.all(card.id, row, col);
+        const { total } = progressQueries.getTileTotal.get(card.id, row, col);
+
+        res.json({
+            target: getTileTarget(cell),
+            unit: (cell && cell.unit) || null,
+            total,
+            entries
+        });
+    } catch (error) {
+        console.error('Get tile progress error:', error);
+        res.status(500).json({ error: 'Failed to get tile progress' });
+    }
+});
+
+// Set which win patterns count on one of your cards (null resets to rows, columns and diagonals)
+app.put('/api/v2/cards/:cardId/patterns', authenticateToken, (req, res) => {
+    try {
+        const cardId = parseInt(req.params.cardId);
+        const { patterns } = req.body;
+
+        const card = cardQueries.findById.get(cardId);
+        if (!card || card.user_id !== req.user.userId) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        if (patterns !== null) {
+            const errors = validatePatterns(patterns, card.size);
+            if (errors.length > 0) {
+                return sendValidationErrors(res, errors, 'Invalid win patterns');
+            }
+        }
+
+        cardQueries.updatePatterns.run(patterns === null ? null : JSON.stringify(patterns), cardId);
+        const updated = cardQueries.findById.get(cardId);
+
+        res.json({
+            message: 'Win patterns updated successfully',
+            winPatterns: getCardPatterns(updated),
+            stats: calculateBingoStats(updated)
+        });
+    } catch (error) {
+        console.error('Update card patterns error:', error);
+        res.status(500).json({ error: 'Failed to update win patterns' });
+    }
+});
+
+// Make one of your cards the primary card
+app.post('/api/v2/cards/:cardId/primary', authenticateToken, (req, res) => {
+    try {
+        const cardId = parseInt(req.params.cardId);
+
+        const card = cardQueries.findById.get(cardId);
+        if (!card || card.user_id !== req.user.userId) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        userQueries.setPrimaryCard.run(cardId, req.user.userId);
+
+        res.json({ message: 'Primary card updated successfully', cardId });
+    } catch (error) {
+        console.error('Set primary card error:', error);
+        res.status(500).json({ error: 'Failed to set primary card' });
+    }
+});
+
+// Delete one of your cards
+app.delete('/api/v2/cards/:cardId', authenticateToken, (req, res) => {
+    try {
+        const cardId = parseInt(req.params.cardId);
+        const userId = req.user.userId;
+
+        // Attachment rows cascade with the card; their files are removed from disk here
+        const attachments = attachmentQueries.getByCard.all(cardId);
+
+        const result = cardQueries.delete.run(cardId, userId);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+        attachments.forEach(removeAttachmentFiles);
+
+        // Deleting the primary card clears the pointer; fall back to the most recently updated card
+        const primary = userQueries.getPrimaryCardId.get(userId);
+        if (!primary.primary_card_id) {
+            const latest = cardQueries.getLatestByUserId.get(userId);
+            if (latest) {
+                userQueries.setPrimaryCard.run(latest.id, userId);
+            }
+        }
+
+        res.json({ message: 'Bingo card deleted successfully' });
+    } catch (error) {
+        console.error('Delete card error:', error);
+        res.status(500).json({ error: 'Failed to delete bingo card' });
+    }
+});
+
+// List a friend's bingo cards
+app.get('/api/users/:userId/cards', authenticateToken, (req, res) => {
+    try {
+        const friendId = parseInt(req.params.userId);
+
+        if (friendId !== req.user.userId) {
+            const friendship = friendshipQueries.checkFriendship.get(
+                req.user.userId, friendId, friendId, req.user.userId
+            );
+
+            if (!friendship || friendship.status !== 'accepted') {
+                return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+            }
+        }
+
+        const cards = cardQueries.getAllByUserId.all(friendId)
+            .map(card => formatCardSummary(cardForViewer(card, req.user.userId)));
+
+        res.json({ cards });
+    } catch (error) {
+        console.error('List friend cards error:', error);
+        res.status(500).json({ error: 'Failed to get bingo cards' });
+    }
+});
+
+// ============= CARD REVISION ROUTES =============
+
+// List revisions of your primary card (or ?cardId=)
+app.get('/api/cards/me/revisions', authenticateToken, (req, res) => {
+    try {
+        const card = findOwnCard(req.user.userId, req.query.cardId);
+        if (!card) {
+            return res.status(404).json({ error: 'No bingo card found' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+        const revisions = revisionQueries.getByCard.all(card.id, limit).map(revision => {
+            const stats = getRevisionStats(revision);
+            return {
+                id: revision.id,
+                cardId: revision.card_id,
+                reason: revision.reason,
+                size: revision.size,
+                tilesCompleted: stats.tilesCompleted,
+                bingosAchieved: stats.bingosAchieved,
+                createdAt: revision.created_at
+            };
+        });
+
+        res.json({ cardId: card.id, revisions });
+    } catch (error) {
+        console.error('Get revisions error:', error);
+        res.status(500).json({ error: 'Failed to get card revisions' });
+    }
+});
+
+// Diff two revisions (?from=&to=); "to" defaults to the card's current state
+app.get('/api/cards/me/revisions/diff', authenticateToken, (req, res) => {
+    try {
+        const card = findOwnCard(req.user.userId, req.query.cardId);
+        if (!card) {
+            return res.status(404).json({ error: 'No bingo card found' });
+        }
+
+        if (!req.query.from) {
+            return res.status(400).json({ error: 'from revision ID is required' });
+        }
+
+        const from = revisionQueries.findById.get(parseInt(req.query.from));
+        const to = req.query.to ? revisionQueries.findById.get(parseInt(req.query.to)) : card;
+
+        if (!from || from.card_id !== card.id || !to || (req.query.to && to.card_id !== card.id)) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.json({
+            from: from.id,
+            to: req.query.to ? to.id : 'current',
+            diff: diffCardSnapshots(from, to)
+        });
+    } catch (error) {
+        console.error('Diff revisions error:', error);
+        res.status(500).json({ error: 'Failed to diff card revisions' });
+    }
+});
+
+// Get a single revision's full contents
+app.get('/api/cards/me/revisions/:revisionId', authenticateToken, (req, res) => {
+    try {
+        const revision = revisionQueries.findById.get(parseInt(req.params.revisionId));
+        if (!revision || revision.user_id !== req.user.userId) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.json({
+            revision: {
+                id: revision.id,
+                cardId: revision.card_id,
+                reason: revision.reason,
+                size: revision.size,
+                grid: JSON.parse(revision.grid_data),
+                completed: JSON.parse(revision.completed_data),
+                createdAt: revision.created_at
+            }
+        });
+    } catch (error) {
+        console.error('Get revision error:', error);
+        res.status(500).json({ error: 'Failed to get card revision' });
+    }
+});
+
+// Roll a card back to a previous revision (the restore itself is recorded as a new revision)
+app.post('/api/cards/me/revisions/:revisionId/restore', authenticateToken, (req, res) => {
+    try {
+        const revision = revisionQueries.findById.get(parseInt(req.params.revisionId));
+        if (!revision || revision.user_id !== req.user.userId) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const card = cardQueries.findById.get(revision.card_id);
+        if (!card || card.user_id !== req.user.userId) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        // A restore is an explicit rollback, so the client doesn't have to send a version; either way
+        // the write only lands on the version read here, so a save in between isn't overwritten
+        const expectedVersion = getExpectedVersion(req, card);
+        if (expectedVersion !== null && expectedVersion !== card.version) {
+            return sendCardConflict(res, card.id);
+        }
+
+        const result = revisionQueries.restore.run(revision.size, revision.grid_data, revision.completed_data, card.id, card.version);
+        if (result.changes === 0) {
+            return sendCardConflict(res, card.id);
+        }
+        revisionQueries.createFromCard.run('restore', card.id);
+
+        const restored = cardQueries.findById.get(card.id);
+        res.set('ETag', cardETag(restored));
+        res.json({
+            message: 'Bingo card restored successfully',
+            card: formatCard(restored)
+        });
+    } catch (error) {
+        console.error('Restore revision error:', error);
+        res.status(500).json({ error: 'Failed to restore card revision' });
+    }
+});
+
+// ============= TILE ATTACHMENT ROUTES =============
+
+// Attach evidence (image or PDF, multipart field "file") to a completed tile on your primary card (or ?cardId=)
+app.post('/api/cards/me/tiles/:row/:col/attachments', authenticateToken, (req, res) => {
+    upload.single('file')(req, res, async (uploadError) => {
+        try {
+            if (uploadError) {
+                if (uploadError.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({ error: `Files must be at most ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)}MB` });
+                }
+                return res.status(400).json({ error: uploadError.message });
+            }
+
+            if (!req.file) {
+                return res.status(400).json({ error: 'A file is required (multipart field "file")' });
+            }
+
+            const row = parseInt(req.params.row);
+            const col = parseInt(req.params.col);
+
+            const card = findOwnCard(req.user.userId, req.query.cardId);
+            if (!card) {
+                return res.status(404).json({ error: 'No bingo card found' });
+            }
+
+            if (isNaN(row) || isNaN(col) || row < 0 || col < 0 || row >= card.size || col >= card.size) {
+                return res.status(400).json({ error: `Tile position must be within a ${card.size}x${card.size} card` });
+            }
+
+            const completed = JSON.parse(card.completed_data);
+            if (!(completed[row] && completed[row][col])) {
+                return res.status(400).json({ error: 'Evidence can only be attached to completed tiles' });
+            }
+
+            const { count } = attachmentQueries.countByTile.get(card.id, row, col);
+            if (count >= MAX_ATTACHMENTS_PER_TILE) {
+                return res.status(400).json({ error: `A tile can have at most ${MAX_ATTACHMENTS_PER_TILE} attachments` });
+            }
+
+            const stored = await storeAttachment(req.file.buffer);
+            if (!stored) {
+                return res.status(415).json({ error: 'Only JPEG, PNG, GIF, WebP images and PDF files are allowed' });
+            }
+
+            const originalName = path.basename(req.file.originalname || 'attachment').slice(0, 200);
+            const result = attachmentQueries.create.run(
+                card.id,
+                req.user.userId,
+                row,
+                col,
+                originalName,
+                stored.storedName,
+                stored.thumbnailName,
+                stored.mimeType,
+                req.file.size
+            );
+
+            res.status(201).json({
+                message: 'Attachment uploaded successfully',
+                attachment: formatAttachment(attachmentQueries.findById.get(result.lastInsertRowid))
+            });
+        } catch (error) {
+            console.error('Upload attachment error:', error);
+            res.status(500).json({ error: 'Failed to upload attachment' });
+        }
+    });
+});
+
+// List attachments on a tile (your own card or an accepted friend's)
+app.get('/api/v2/cards/:cardId/tiles/:row/:col/attachments', authenticateToken, (req, res) => {
+    try {
+        const card = cardQueries.findById.get(parseInt(req.params.cardId));
+        if (!card) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        if (!canViewCard(req.user.userId, card)) {
+            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+        }
+
+        const row = parseInt(req.params.row);
+        const col = parseInt(req.params.col);
+        if (!canViewTile(req.user.userId, card, row, col)) {
+            return res.status(403).json({ error: 'This tile is private' });
+        }
+
+        const attachments = attachmentQueries.getByTile.all(card.id, row, col);
+        res.json({ attachments: attachments.map(formatAttachment) });
+    } catch (error) {
+        console.error('Get attachments error:', error);
+        res.status(500).json({ error: 'Failed to get attachments' });
+    }
+});
+
+// Helper function to serve an attachment file (or its thumbnail) after the card access check
+function sendAttachmentFile(req, res, thumbnail) {
+    try {
+        const attachment = attachmentQueries.findById.get(parseInt(req.params.attachmentId));
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        const card = cardQueries.findById.get(attachment.card_id);
+        if (!card || !canViewCard(req.user.userId, card)) {
+            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+        }
+
+        if (!canViewTile(req.user.userId, card, attachment.row, attachment.col)) {
+            return res.status(403).json({ error: 'This tile is private' });
+        }
+
+        const filePath = thumbnail ? getThumbnailPath(attachment) : getAttachmentPath(attachment);
+        if (!filePath) {
+            return res.status(404).json({ error: 'Attachment has no thumbnail' });
+        }
+
+        res.sendFile(filePath, {
+            headers: {
+                'Content-Type': thumbnail ? 'image/jpeg' : attachment.mime_type,
+                'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`,
+                'X-Content-Type-Options': 'nosniff',
+                'Cache-Control': 'private, max-age=3600'
+            }
+        }, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Send attachment error:', error);
+                res.status(404).json({ error: 'Attachment file not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Get attachment error:', error);
+        res.status(500).json({ error: 'Failed to get attachment' });
+    }
+}
+
+// Download an attachment
+app.get('/api/attachments/:attachmentId', authenticateToken, (req, res) => {
+    sendAttachmentFile(req, res, false);
+});
+
+// Get an image attachment's thumbnail
+app.get('/api/attachments/:attachmentId/thumbnail', authenticateToken, (req, res) => {
+    sendAttachmentFile(req, res, true);
+});
+
+// Delete one of your attachments
+app.delete('/api/attachments/:attachmentId', authenticateToken, (req, res) => {
+    try {
+        const attachment = attachmentQueries.findById.get(parseInt(req.params.attachmentId));
+        if (!attachment || attachment.user_id !== req.user.userId) {
+            return res.status(404).json({ error: 'Attachment not found or unauthorized' });
+        }
+
+        attachmentQueries.delete.run(attachment.id, req.user.userId);
+        removeAttachmentFiles(attachment);
+
+        res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+        console.error('Delete attachment error:', error);
+        res.status(500).json({ error: 'Failed to delete attachment' });
+    }
+});
+
+// ============= TILE JOURNAL ROUTES =============
+
+// Add a journal entry to a tile of your primary card (or ?cardId=); private unless shared: true
+app.post('/api/cards/me/tiles/:row/:col/journal', authenticateToken, (req, res) => {
+    try {
+        const row = parseInt(req.params.row);
+        const col = parseInt(req.params.col);
+        const { body, mood, date, shared } = req.body;
+
+        const errors = validateJournalEntry({ body: body === undefined ? '' : body, mood, date, shared });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors, 'Invalid journal entry');
+        }
+
+        const card = findOwnCard(req.user.userId, req.query.cardId);
+        if (!card) {
+            return res.status(404).json({ error: 'No bingo card found' });
+        }
+
+        if (isNaN(row) || isNaN(col) || row < 0 || col < 0 || row >= card.size || col >= card.size) {
+            return res.status(400).json({ error: `Tile position must be within a ${card.size}x${card.size} card` });
+        }
+
+        const result = journalQueries.create.run(
+            card.id,
+            req.user.userId,
+            row,
+            col,
+            body.trim(),
+            mood || null,
+            date || new Date().toISOString().slice(0, 10),
+            shared ? 1 : 0
+        );
+
+        res.status(201).json({
+            message: 'Journal entry added successfully',
+            entry: formatJournalEntry(journalQueries.findById.get(result.lastInsertRowid))
+        });
+    } catch (error) {
+        console.error('Add journal entry error:', error);
+        res.status(500).json({ error: 'Failed to add journal entry' });
+    }
+});
+
+// Get a tile's journal: the owner sees every entry, accepted friends only shared ones
+app.get('/api/v2/cards/:cardId/tiles/:row/:col/journal', authenticateToken, (req, res) => {
+    try {
+        const row = parseInt(req.params.row);
+        const col = parseInt(req.params.col);
+
+        const card = cardQueries.findById.get(parseInt(req.params.cardId));
+        if (!card) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+
+        if (!canViewCard(req.user.userId, card)) {
+            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+        }
+
+        if (!canViewTile(req.user.userId, card, row, col)) {
+            return res.status(403).json({ error: 'This tile is private' });
+        }
+
+        const entries = card.user_id === req.user.userId
+            ? journalQueries.getByTile.all(card.id, row, col)
+            : journalQueries.getSharedByTile.all(card.id, row, col);
+
+        res.json({ entries: entries.map(formatJournalEntry) });
+    } catch (error) {
+        console.error('Get journal error:', error);
+        res.status(500).json({ error: 'Failed to get journal' });
+    }
+});
+
+// Edit one of your journal entries (body, mood, date and shared can each be changed)
+app.put('/api/journal/:entryId', authenticateToken, (req, res) => {
+    try {
+        const entry = journalQueries.findById.get(parseInt(req.params.entryId));
+        if (!entry || entry.user_id !== req.user.userId) {
+            return res.status(404).json({ error: 'Journal entry not found' });
+        }
+
+        const { body, mood, date, shared } = req.body;
+        const errors = validateJournalEntry({ body, mood, date, shared });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors, 'Invalid journal entry');
+        }
+
+        journalQueries.update.run(
+            body !== undefined ? body.trim() : entry.body,
+            mood !== undefined ? mood : entry.mood,
+            date !== undefined ? date : entry.entry_date,
+            shared !== undefined ? (shared ? 1 : 0) : entry.shared,
+            entry.id,
+            req.user.userId
+        );
+
+        res.json({
+            message: 'Journal entry updated successfully',
+            entry: formatJournalEntry(journalQueries.findById.get(entry.id))
+        });
+    } catch (error) {
+        console.error('Update journal entry error:', error);
+        res.status(500).json({ error: 'Failed to update journal entry' });
+    }
+});
+
+// Delete one of your journal entries
+app.delete('/api/journal/:entryId', authenticateToken, (req, res) => {
+    try {
+        const result = journalQueries.delete.run(parseInt(req.params.entryId), req.user.userId);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Journal entry not found' });
+        }
+
+        res.json({ message: 'Journal entry deleted successfully' });
+    } catch (error) {
+        console.error('Delete journal entry error:', error);
+        res.status(500).json({ error: 'Failed to delete journal entry' });
+    }
+});
+
+// ============= WIN PATTERN ROUTES =============
+
+// List built-in win patterns
+app.get('/api/patterns', authenticateToken, (req, res) => {
+    res.json({
+        patterns: Object.entries(BUILT_IN_PATTERNS).map(([id, description]) => ({
+            id,
+            description,
+            bonusPoints: PATTERN_BONUS_POINTS[id]
+        })),
+        defaultPatterns: DEFAULT_PATTERNS
+    });
+});
+
+// ============= TEMPLATE ROUTES =============
+
+// Publish a card layout as a template (from one of your cards via cardId, or an explicit size/grid)
+app.post('/api/templates', authenticateToken, (req, res) => {
+    try {
+        const { title, description, cardId, visibility = 'public', groupId } = req.body;
+
+        if (!title || String(title).trim() === '') {
+            return res.status(400).json({ error: 'Template title is required' });
+        }
+
+        if (!['public', 'friends', 'group'].includes(visibility)) {
+            return res.status(400).json({ error: 'Visibility must be public, friends, or group' });
+        }
+
+        // Group-only templates must belong to a group the publisher is in
+        if (visibility === 'group') {
+            if (!groupId) {
+                return res.status(400).json({ error: 'Group ID is required for group templates' });
+            }
+            const membership = groupQueries.getMember.get(groupId, req.user.userId);
+            if (!membership || membership.status !== 'accepted') {
+                return res.status(403).json({ error: 'You are not a member of this group' });
+            }
+        }
+
+        let size = req.body.size;
+        let grid = req.body.grid;
+        if (cardId) {
+            const card = findOwnCard(req.user.userId, cardId);
+            if (!card) {
+                return res.status(404).json({ error: 'Bingo card not found' });
+            }
+            size = card.size;
+            grid = JSON.parse(card.grid_data);
+        }
+
+        if (!size || !grid) {
+            return res.status(400).json({ error: 'Card ID or size and grid are required' });
+        }
+
+        const errors = validateCard({ size, grid, completed: emptyCompleted(size), title });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        // Templates carry the layout only: tile text, type, points and targets, no personal metadata
+        const layout = grid.map(rowValues => rowValues.map(cell => (
+            cell && typeof cell === 'object'
+                ? { text: cell.text || '', type: cell.type, points: cell.points, target: cell.target, unit: cell.unit }
+                : { text: getCellText(cell) }
+        )));
+
+        const result = templateQueries.create.run(
+            req.user.userId,
+            String(title).trim(),
+            description ? String(description).trim() : '',
+            size,
+            JSON.stringify(layout),
+            visibility,
+            visibility === 'group' ? groupId : null
+        );
+
+        res.status(201).json({
+            message: 'Template published successfully',
+            template: { id: result.lastInsertRowid, title: String(title).trim(), size, visibility }
+        });
+    } catch (error) {
+        console.error('Create template error:', error);
+        res.status(500).json({ error: 'Failed to publish template' });
+    }
+});
+
+// Browse/search templates visible to you (?q=&size=&limit=)
+app.get('/api/templates', authenticateToken, (req, res) => {
+    try {
+        const templates = templateQueries.search.all({
+            userId: req.user.userId,
+            query: req.query.q ? `%${req.query.q}%` : null,
+            size: req.query.size ? parseInt(req.query.size) : null,
+            limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+        });
+
+        res.json({ templates });
+    } catch (error) {
+        console.error('Search templates error:', error);
+        res.status(500).json({ error: 'Failed to get templates' });
+    }
+});
+
+// Get a template's layout
+app.get('/api/templates/:templateId', authenticateToken, (req, res) => {
+    try {
+        const template = templateQueries.findVisibleById.get({
+            templateId: parseInt(req.params.templateId),
+            userId: req.user.userId
+        });
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const { grid_data, ...details } = template;
+        res.json({ template: { ...details, grid: JSON.parse(grid_data) } });
+    } catch (error) {
+        console.error('Get template error:', error);
+        res.status(500).json({ error: 'Failed to get template' });
+    }
+});
+
+// Delete a template (creator only)
+app.delete('/api/templates/:templateId', authenticateToken, (req, res) => {
+    try {
+        const result = templateQueries.delete.run(parseInt(req.params.templateId), req.user.userId);
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Template not found or unauthorized' });
+        }
+
+        res.json({ message: 'Template deleted successfully' });
     } catch (error) {
-        console.error('Get user error:', error);
-        res.status(500).json({ error: 'Failed to get user' });
+        console.error('Delete template error:', error);
+        res.status(500).json({ error: 'Failed to delete template' });
     }
 });
 
-// Update user profile
-app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+// Create a new card from a template, optionally shuffled so everyone gets a different arrangement
+app.post('/api/cards/from-template/:templateId', authenticateToken, (req, res) => {
     try {
-        const { name, username, email, password } = req.body;
-        const userId = req.user.userId;
+        const { title, year, makePrimary, shuffle, seed } = req.body;
 
-        if (!name || !email) {
-            return res.status(400).json({ error: 'Name and email are required' });
-        }
+        const template = templateQueries.findVisibleById.get({
+            templateId: parseInt(req.params.templateId),
+            userId: req.user.userId
+        });
 
-        // Check if username is taken by another user (if username queries available)
-        if (username && userQueries.findByUsername) {
-            const existingUsername = userQueries.findByUsername.get(username);
-            if (existingUsername && existingUsername.id !== userId) {
-                return res.status(409).json({ error: 'Username already taken' });
-            }
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
         }
 
-        // Check if email is taken by another user
-        const existingEmail = userQueries.findByEmail.get(email);
-        if (existingEmail && existingEmail.id !== userId) {
-            return res.status(409).json({ error: 'Email already taken' });
+        const errors = validateCardDetails({ title, year });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
 
-        // Update user (check if profile update queries are available)
-        if (password) {
-            const hashedPassword = await bcrypt.hash(password, 10);
-            if (userQueries.updateWithPassword) {
-                userQueries.updateWithPassword.run(name, username || null, email, hashedPassword, userId);
-            } else {
-                // Fallback: just update basic info without username
-                return res.status(501).json({ error: 'Password update not supported yet. Please contact support.' });
-            }
-        } else {
-            if (userQueries.updateProfile) {
-                userQueries.updateProfile.run(name, username || null, email, userId);
-            } else {
-                // Fallback: inform user
-                return res.status(501).json({ error: 'Profile update not fully supported yet. Please contact support.' });
-            }
-        }
+        const layout = JSON.parse(template.grid_data);
+        const grid = shuffle
+            ? shuffleGrid(layout, seed !== undefined && seed !== null ? createRng(seed) : Math.random)
+            : layout;
 
-        // Get updated user
-        const updatedUser = userQueries.findById.get(userId);
-        
-        res.json({ 
-            message: 'Profile updated successfully',
-            user: {
-                id: updatedUser.id,
-                name: updatedUser.name,
-                username: updatedUser.username || null,
-                email: updatedUser.email
-            }
+        const cardId = createCard(req.user.userId, {
+            size: template.size,
+            grid,
+            completed: emptyCompleted(template.size),
+            title: title || template.title,
+            year
+        }, !!makePrimary);
+        templateQueries.incrementUseCount.run(template.id);
+
+        const card = cardQueries.findById.get(cardId);
+        const primary = userQueries.getPrimaryCardId.get(req.user.userId);
+
+        res.status(201).json({
+            message: 'Bingo card created from template',
+            card: formatCard(card, primary.primary_card_id)
         });
     } catch (error) {
-        console.error('Profile update error:', error);
-        res.status(500).json({ error: 'Failed to update profile' });
+        console.error('Create card from template error:', error);
+        res.status(500).json({ error: 'Failed to create card from template' });
     }
 });
 
-// ============= USER ROUTES =============
+// ============= NOTIFICATION ROUTES =============
+
+// Helper function to shape a notification row for API responses
+function formatNotification(notification) {
+    return {
+        id: notification.id,
+        type: notification.type,
+        title: notification.title,
+        body: notification.body,
+        data: notification.data ? JSON.parse(notification.data) : null,
+        read: !!notification.read_at,
+        readAt: notification.read_at,
+        createdAt: notification.created_at
+    };
+}
 
-// Search users
-app.get('/api/users/search', authenticateToken, (req, res) => {
+// List your notifications (newest first; ?unread=true for unread only, ?limit= up to 100)
+app.get('/api/notifications', authenticateToken, (req, res) => {
     try {
-        const { email } = req.query;
-        if (!email) {
-            return res.status(400).json({ error: 'Email query parameter required' });
-        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        const notifications = req.query.unread === 'true'
+            ? notificationQueries.getUnreadByUser.all(req.user.userId, limit)
+            : notificationQueries.getByUser.all(req.user.userId, limit);
+        const { count } = notificationQueries.countUnread.get(req.user.userId);
 
-        const users = userQueries.searchByEmail.all(`%${email}%`);
-        // Filter out current user
-        const filteredUsers = users.filter(u => u.id !== req.user.userId);
-        res.json({ users: filteredUsers });
+        res.json({ notifications: notifications.map(formatNotification), unreadCount: count });
     } catch (error) {
-        console.error('Search users error:', error);
-        res.status(500).json({ error: 'Failed to search users' });
+        console.error('Get notifications error:', error);
+        res.status(500).json({ error: 'Failed to get notifications' });
     }
 });
 
-// Get all users (for available users list)
-app.get('/api/users', authenticateToken, (req, res) => {
+// Mark all of your notifications as read
+app.post('/api/notifications/read-all', authenticateToken, (req, res) => {
     try {
-        const users = userQueries.getAll.all();
-        // Filter out current user
-        const filteredUsers = users.filter(u => u.id !== req.user.userId);
-        res.json({ users: filteredUsers });
+        const result = notificationQueries.markAllRead.run(req.user.userId);
+        res.json({ message: 'Notifications marked as read', updatedCount: result.changes });
     } catch (error) {
-        console.error('Get users error:', error);
-        res.status(500).json({ error: 'Failed to get users' });
+        console.error('Mark notifications read error:', error);
+        res.status(500).json({ error: 'Failed to mark notifications as read' });
     }
 });
 
-// ============= BINGO CARD ROUTES =============
-
-// Create or update bingo card
-app.post('/api/cards', authenticateToken, (req, res) => {
+// Get your notification preferences
+app.get('/api/notifications/preferences', authenticateToken, (req, res) => {
     try {
-        const { size, grid, completed } = req.body;
+        const preferences = userQueries.getReminderEmails.get(req.user.userId);
+        res.json({ reminderEmails: !!(preferences && preferences.reminder_emails) });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ error: 'Failed to get notification preferences' });
+    }
+});
 
-        if (!size || !grid || !completed) {
-            return res.status(400).json({ error: 'Size, grid, and completed data are required' });
+// Update your notification preferences (reminderEmails: whether tile reminders are also emailed)
+app.put('/api/notifications/preferences', authenticateToken, (req, res) => {
+    try {
+        const { reminderEmails } = req.body;
+        if (typeof reminderEmails !== 'boolean') {
+            return res.status(400).json({ error: 'reminderEmails must be true or false' });
         }
 
-        const gridData = JSON.stringify(grid);
-        const completedData = JSON.stringify(completed);
+        userQueries.setReminderEmails.run(reminderEmails ? 1 : 0, req.user.userId);
+        res.json({ message: 'Notification preferences updated', reminderEmails });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+});
 
-        // Check if card exists
-        const existingCard = cardQueries.findByUserId.get(req.user.userId);
+// Mark one of your notifications as read
+app.post('/api/notifications/:notificationId/read', authenticateToken, (req, res) => {
+    try {
+        notificationQueries.markRead.run(parseInt(req.params.notificationId), req.user.userId);
+        res.json({ message: 'Notification marked as read' });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({ error: 'Failed to mark notification as read' });
+    }
+});
 
-        if (existingCard) {
-            // Update existing card
-            cardQueries.update.run(gridData, completedData, req.user.userId);
-        } else {
-            // Create new card
-            cardQueries.create.run(req.user.userId, size, gridData, completedData);
+// Delete one of your notifications
+app.delete('/api/notifications/:notificationId', authenticateToken, (req, res) => {
+    try {
+        const result = notificationQueries.delete.run(parseInt(req.params.notificationId), req.user.userId);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
         }
 
-        res.json({ message: 'Bingo card saved successfully' });
+        res.json({ message: 'Notification deleted successfully' });
     } catch (error) {
-        console.error('Save card error:', error);
-        res.status(500).json({ error: 'Failed to save bingo card' });
+        console.error('Delete notification error:', error);
+        res.status(500).json({ error: 'Failed to delete notification' });
     }
 });
 
-// Get user's bingo card
-app.get('/api/cards/me', authenticateToken, (req, res) => {
+// ============= SHARE LINK ROUTES =============
+
+const MAX_SHARE_LINK_DAYS = 365;
+
+// Helper function to shape a share link row for API responses
+function formatShareLink(req, link) {
+    return {
+        id: link.id,
+        cardId: link.card_id,
+        cardTitle: link.card_title !== undefined ? link.card_title || '' : undefined,
+        url: `${req.protocol}://${req.get('host')}/api/shared/${link.token}`,
+        expiresAt: link.expires_at,
+        createdAt: link.created_at
+    };
+}
+
+// Create a share link for one of your cards (optionally expiring after expiresInDays)
+app.post('/api/v2/cards/:cardId/share-links', authenticateToken, (req, res) => {
     try {
-        const card = cardQueries.findByUserId.get(req.user.userId);
-        
+        const { expiresInDays } = req.body;
+        if (expiresInDays !== undefined && expiresInDays !== null
+            && (typeof expiresInDays !== 'number' || !(expiresInDays > 0) || expiresInDays > MAX_SHARE_LINK_DAYS)) {
+            return res.status(400).json({ error: `expiresInDays must be a number above 0 and at most ${MAX_SHARE_LINK_DAYS}` });
+        }
+
+        const card = findOwnCard(req.user.userId, req.params.cardId);
         if (!card) {
-            return res.status(404).json({ error: 'No bingo card found' });
+            return res.status(404).json({ error: 'Bingo card not found or unauthorized' });
         }
 
-        res.json({
-            card: {
-                size: card.size,
-                grid: JSON.parse(card.grid_data),
-                completed: JSON.parse(card.completed_data),
-                createdAt: card.created_at,
-                updatedAt: card.updated_at
-            }
+        const token = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = expiresInDays
+            ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+            : null;
+        const result = shareLinkQueries.create.run(card.id, req.user.userId, token, expiresAt);
+
+        res.status(201).json({
+            message: 'Share link created successfully',
+            link: formatShareLink(req, shareLinkQueries.findById.get(result.lastInsertRowid))
         });
     } catch (error) {
-        console.error('Get card error:', error);
-        res.status(500).json({ error: 'Failed to get bingo card' });
+        console.error('Create share link error:', error);
+        res.status(500).json({ error: 'Failed to create share link' });
     }
 });
 
-// Clear all comments for user's card (when creating new card)
-app.delete('/api/cards/clear', authenticateToken, (req, res) => {
+// List your active (not revoked, not expired) share links, optionally for one card (?cardId=)
+app.get('/api/share-links', authenticateToken, (req, res) => {
     try {
-        const userId = req.user.userId;
-        
-        // Delete all comments where this user is the card owner
-        const result = commentQueries.deleteByCardOwner 
-            ? commentQueries.deleteByCardOwner.run(userId)
-            : { changes: 0 };
+        let links = shareLinkQueries.getActiveByUser.all(req.user.userId, new Date().toISOString());
+        if (req.query.cardId) {
+            links = links.filter(link => link.card_id === parseInt(req.query.cardId));
+        }
 
-        res.json({ 
-            message: 'All comments cleared successfully',
-            deletedCount: result.changes || 0
-        });
+        res.json({ links: links.map(link => formatShareLink(req, link)) });
     } catch (error) {
-        console.error('Clear comments error:', error);
-        res.status(500).json({ error: 'Failed to clear comments' });
+        console.error('List share links error:', error);
+        res.status(500).json({ error: 'Failed to get share links' });
     }
 });
 
-// Get friend's bingo card
-app.get('/api/cards/:userId', authenticateToken, (req, res) => {
+// Revoke one of your share links
+app.delete('/api/share-links/:linkId', authenticateToken, (req, res) => {
     try {
-        const friendId = parseInt(req.params.userId);
+        const result = shareLinkQueries.revoke.run(parseInt(req.params.linkId), req.user.userId);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
 
-        // Check if they are friends
-        const friendship = friendshipQueries.checkFriendship.get(
-            req.user.userId, friendId, friendId, req.user.userId
-        );
+        res.json({ message: 'Share link revoked successfully' });
+    } catch (error) {
+        console.error('Revoke share link error:', error);
+        res.status(500).json({ error: 'Failed to revoke share link' });
+    }
+});
 
-        if (!friendship || friendship.status !== 'accepted') {
-            return res.status(403).json({ error: 'You can only view cards of accepted friends' });
+// Read-only card view for anyone holding a share link (no login; private comments are left out)
+app.get('/api/shared/:token', (req, res) => {
+    try {
+        const link = shareLinkQueries.findByToken.get(req.params.token);
+        if (!link) {
+            return res.status(404).json({ error: 'Share link not found' });
         }
-
-        const card = cardQueries.findByUserId.get(friendId);
-        
-        if (!card) {
-            return res.status(404).json({ error: 'Friend has no bingo card' });
+        if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+            return res.status(410).json({ error: 'Share link has expired' });
         }
 
+        const card = cardForViewer(cardQueries.findById.get(link.card_id), null);
+        const owner = userQueries.findById.get(card.user_id);
+        const { isPrimary, ...cardView } = formatCard(card);
+
+        // Comments on private/hidden tiles could give their contents away, so those are left out too
+        const grid = JSON.parse(card.grid_data);
+        const comments = commentQueries.getByCard.all(card.id)
+            .filter(comment => !comment.is_private && !(grid[comment.row] && grid[comment.row][comment.col] && grid[comment.row][comment.col].redacted))
+            .map(comment => ({
+                id: comment.id,
+                row: comment.row,
+                col: comment.col,
+                text: comment.text,
+                authorName: comment.author_name,
+                createdAt: comment.created_at
+            }));
+
+        res.set('Cache-Control', 'private, no-cache');
         res.json({
-            card: {
-                size: card.size,
-                grid: JSON.parse(card.grid_data),
-                completed: JSON.parse(card.completed_data),
-                createdAt: card.created_at,
-                updatedAt: card.updated_at
-            }
+            card: cardView,
+            owner: { name: owner ? owner.name : '' },
+            stats: calculateBingoStats(card),
+            comments,
+            expiresAt: link.expires_at
         });
     } catch (error) {
-        console.error('Get friend card error:', error);
-        res.status(500).json({ error: 'Failed to get bingo card' });
+        console.error('Get shared card error:', error);
+        res.status(500).json({ error: 'Failed to get shared card' });
+    }
+});
+
+// ============= CALENDAR FEED ROUTES =============
+
+// Helper function to build the subscribable feed URL for a calendar token
+function calendarFeedUrl(req, token) {
+    return `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+}
+
+// Get your calendar feed URL (null until one is created)
+app.get('/api/calendar/token', authenticateToken, (req, res) => {
+    try {
+        const row = userQueries.getCalendarToken.get(req.user.userId);
+        const token = row && row.calendar_token;
+        res.json({ url: token ? calendarFeedUrl(req, token) : null });
+    } catch (error) {
+        console.error('Get calendar token error:', error);
+        res.status(500).json({ error: 'Failed to get calendar feed' });
+    }
+});
+
+// Create (or rotate) your calendar feed URL; any previous URL stops working
+app.post('/api/calendar/token', authenticateToken, (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString('hex');
+        userQueries.setCalendarToken.run(token, req.user.userId);
+        res.status(201).json({ message: 'Calendar feed created', url: calendarFeedUrl(req, token) });
+    } catch (error) {
+        console.error('Create calendar token error:', error);
+        res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+});
+
+// Turn off your calendar feed
+app.delete('/api/calendar/token', authenticateToken, (req, res) => {
+    try {
+        userQueries.setCalendarToken.run(null, req.user.userId);
+        res.json({ message: 'Calendar feed disabled' });
+    } catch (error) {
+        console.error('Delete calendar token error:', error);
+        res.status(500).json({ error: 'Failed to disable calendar feed' });
+    }
+});
+
+// iCalendar feed of tile due dates and completions. The secret token in the URL stands in
+// for the JWT, since calendar apps can't send an Authorization header.
+app.get('/api/calendar/:token.ics', (req, res) => {
+    try {
+        const user = userQueries.findByCalendarToken.get(req.params.token);
+        if (!user) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        const cards = cardQueries.getAllByUserId.all(user.id);
+        res.set('Cache-Control', 'private, max-age=900');
+        res.type('text/calendar').send(buildCalendar(user, cards));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
     }
 });
 
 // ============= FRIENDSHIP ROUTES =============
 
 // Send friend request
-app.post('/api/friends/request', authenticateToken, (req, res) => {
+app.post('/api/friends/request', authenticateToken, requireVerifiedEmail, (req, res) => {
     try {
         const { friendEmail, friendUsername } = req.body;
 
@@ -509,17 +3332,26 @@ app.get('/api/friends', authenticateToken, (req, res) => {
         // Add bingo stats for each friend
         const friendsWithStats = friends.map(friend => {
             const card = cardQueries.findByUserId.get(friend.friend_id);
-            const stats = calculateBingoStats(card);
+            const stats = calculateBingoStats(cardForViewer(card, req.user.userId));
             return {
                 ...friend,
+                cardId: card ? card.id : null,
                 tilesCompleted: stats.tilesCompleted,
                 bingosAchieved: stats.bingosAchieved,
-                lastTileDate: stats.lastTileDate
+                lastTileDate: stats.lastTileDate,
+                patternsAchieved: stats.patternsAchieved,
+                score: stats.score,
+                progressPercentage: stats.progressPercentage
             };
         });
         
-        // Sort alphabetically by friend_name
-        friendsWithStats.sort((a, b) => a.friend_name.localeCompare(b.friend_name));
+        if (req.query.sort === 'score') {
+            // Sort by score (highest first), then alphabetically
+            friendsWithStats.sort((a, b) => b.score - a.score || a.friend_name.localeCompare(b.friend_name));
+        } else {
+            // Sort alphabetically by friend_name
+            friendsWithStats.sort((a, b) => a.friend_name.localeCompare(b.friend_name));
+        }
         
         res.json({ friends: friendsWithStats });
     } catch (error) {
@@ -591,12 +3423,22 @@ app.get('/api/users/hidden', authenticateToken, (req, res) => {
 // Create a comment
 app.post('/api/comments', authenticateToken, (req, res) => {
     try {
-        const { cardOwnerId, row, col, text, isPrivate } = req.body;
+        const { cardId, row, col, text, isPrivate } = req.body;
 
-        if (cardOwnerId === undefined || row === undefined || col === undefined || !text) {
-            return res.status(400).json({ error: 'Card owner ID, row, col, and text are required' });
+        if ((cardId === undefined && req.body.cardOwnerId === undefined) || row === undefined || col === undefined || !text) {
+            return res.status(400).json({ error: 'Card ID (or card owner ID), row, col, and text are required' });
         }
 
+        // Comments belong to a specific card; without a cardId we fall back to the owner's primary card
+        const card = cardId !== undefined
+            ? cardQueries.findById.get(cardId)
+            : cardQueries.findByUserId.get(req.body.cardOwnerId);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Bingo card not found' });
+        }
+        const cardOwnerId = card.user_id;
+
         // If commenting on someone else's card, verify friendship
         if (cardOwnerId !== req.user.userId) {
             const friendship = friendshipQueries.checkFriendship.get(
@@ -608,10 +3450,15 @@ app.post('/api/comments', authenticateToken, (req, res) => {
             }
         }
 
+        if (!canViewTile(req.user.userId, card, row, col)) {
+            return res.status(403).json({ error: 'This tile is private' });
+        }
+
         // Create comment
         commentQueries.create.run(
             req.user.userId,
             cardOwnerId,
+            card.id,
             row,
             col,
             text,
@@ -643,7 +3490,19 @@ app.get('/api/comments/:cardOwnerId/:row/:col', authenticateToken, (req, res) =>
             }
         }
 
-        const comments = commentQueries.getByTask.all(cardOwnerId, row, col);
+        const card = req.query.cardId
+            ? cardQueries.findById.get(parseInt(req.query.cardId))
+            : cardQueries.findByUserId.get(cardOwnerId);
+
+        if (!card || card.user_id !== cardOwnerId) {
+            return res.json({ comments: [] });
+        }
+
+        if (!canViewTile(req.user.userId, card, row, col)) {
+            return res.status(403).json({ error: 'This tile is private' });
+        }
+
+        const comments = commentQueries.getByTask.all(card.id, row, col);
 
         // Filter private comments
         const filteredComments = comments.filter(comment => {
@@ -678,7 +3537,15 @@ app.get('/api/comments/:cardOwnerId', authenticateToken, (req, res) => {
             }
         }
 
-        const comments = commentQueries.getByCard.all(cardOwnerId);
+        const card = req.query.cardId
+            ? cardQueries.findById.get(parseInt(req.query.cardId))
+            : cardQueries.findByUserId.get(cardOwnerId);
+
+        if (!card || card.user_id !== cardOwnerId) {
+            return res.json({ comments: [] });
+        }
+
+        const comments = commentQueries.getByCard.all(card.id);
 
         // Filter private comments
         const filteredComments = comments.filter(comment => {
@@ -686,6 +3553,10 @@ app.get('/api/comments/:cardOwnerId', authenticateToken, (req, res) => {
             if (cardOwnerId === req.user.userId) {
                 return true;
             }
+            // Comments on private or hidden tiles stay with the owner
+            if (!canViewTile(req.user.userId, card, comment.row, comment.col)) {
+                return false;
+            }
             // Show public comments and private comments authored by current user
             return !comment.is_private || comment.author_id === req.user.userId;
         });
@@ -841,7 +3712,13 @@ app.get('/api/groups/:groupId', authenticateToken, (req, res) => {
             return res.status(404).json({ error: 'Group not found' });
         }
 
-        res.json({ group: { ...group, role: membership.role } });
+        res.json({
+            group: {
+                ...group,
+                win_patterns: group.win_patterns ? JSON.parse(group.win_patterns) : null,
+                role: membership.role
+            }
+        });
     } catch (error) {
         console.error('Get group error:', error);
         res.status(500).json({ error: 'Failed to get group' });
@@ -874,8 +3751,41 @@ app.put('/api/groups/:groupId/description', authenticateToken, (req, res) => {
     }
 });
 
+// Set a group challenge's win patterns (admin only; null falls back to each member's card patterns)
+app.put('/api/groups/:groupId/patterns', authenticateToken, (req, res) => {
+    try {
+        const groupId = parseInt(req.params.groupId);
+        const { patterns } = req.body;
+
+        if (patterns === undefined) {
+            return res.status(400).json({ error: 'Patterns are required (or null to clear)' });
+        }
+
+        // Check if user is admin of group
+        const membership = groupQueries.getMember.get(groupId, req.user.userId);
+        if (!membership || membership.role !== 'admin') {
+            return res.status(403).json({ error: 'Only admins can update group win patterns' });
+        }
+
+        // Members' cards may differ in size, so custom masks are matched per card when evaluated
+        if (patterns !== null) {
+            const errors = validatePatterns(patterns, null);
+            if (errors.length > 0) {
+                return sendValidationErrors(res, errors, 'Invalid win patterns');
+            }
+        }
+
+        groupQueries.updatePatterns.run(patterns === null ? null : JSON.stringify(patterns), groupId);
+
+        res.json({ message: 'Group win patterns updated successfully', winPatterns: patterns });
+    } catch (error) {
+        console.error('Update group patterns error:', error);
+        res.status(500).json({ error: 'Failed to update group win patterns' });
+    }
+});
+
 // Invite friend to group
-app.post('/api/groups/:groupId/invite', authenticateToken, (req, res) => {
+app.post('/api/groups/:groupId/invite', authenticateToken, requireVerifiedEmail, (req, res) => {
     try {
         const groupId = parseInt(req.params.groupId);
         const { friendId } = req.body;
@@ -994,13 +3904,22 @@ app.get('/api/groups/:groupId/members', authenticateToken, (req, res) => {
             return res.status(403).json({ error: 'You are not a member of this group' });
         }
 
+        // Leaderboards use each member's primary card, or their card for ?year= if given
+        const year = req.query.year ? parseInt(req.query.year) : null;
+
+        // A group challenge's win patterns override each card's own patterns
+        const group = groupQueries.findById.get(groupId);
+        const groupPatterns = group && group.win_patterns ? JSON.parse(group.win_patterns) : undefined;
+
         // Get all members
         const members = groupQueries.getGroupMembers.all(groupId);
 
         // Calculate stats for each member
         const membersWithStats = members.map(member => {
-            const card = cardQueries.findByUserId.get(member.user_id);
-            const stats = calculateBingoStats(card);
+            const card = year
+                ? cardQueries.findByUserAndYear.get(member.user_id, year)
+                : cardQueries.findByUserId.get(member.user_id);
+            const stats = calculateBingoStats(cardForViewer(card, req.user.userId), groupPatterns);
             
             let completionPercentage = 0;
 
@@ -1015,21 +3934,36 @@ app.get('/api/groups/:groupId/members', authenticateToken, (req, res) => {
                 name: member.user_name,
                 email: member.user_email,
                 role: member.role,
+                cardId: card ? card.id : null,
+                cardTitle: card ? card.title || '' : null,
                 completionPercentage,
+                progressPercentage: card ? stats.progressPercentage : 0,
                 bingoCount: stats.bingosAchieved,
                 tilesCompleted: stats.tilesCompleted,
                 lastTileDate: stats.lastTileDate,
+                patternsAchieved: stats.patternsAchieved,
+                score: stats.score,
                 joinedAt: member.joined_at
             };
         });
 
-        // Sort by completion percentage (highest first), then by bingo count
-        membersWithStats.sort((a, b) => {
-            if (b.completionPercentage !== a.completionPercentage) {
+        if (req.query.sort === 'score') {
+            // Sort by score (highest first), then by completion percentage
+            membersWithStats.sort((a, b) => {
+                if (b.score !== a.score) {
+                    return b.score - a.score;
+                }
                 return b.completionPercentage - a.completionPercentage;
-            }
-            return b.bingoCount - a.bingoCount;
-        });
+            });
+        } else {
+            // Sort by completion percentage (highest first), then by bingo count
+            membersWithStats.sort((a, b) => {
+                if (b.completionPercentage !== a.completionPercentage) {
+                    return b.completionPercentage - a.completionPercentage;
+                }
+                return b.bingoCount - a.bingoCount;
+            });
+        }
 
         res.json({ members: membersWithStats });
     } catch (error) {
@@ -1038,6 +3972,49 @@ app.get('/api/groups/:groupId/members', authenticateToken, (req, res) => {
     }
 });
 
+// Get a print-ready PDF with every member's card (primary card, or their card for ?year=), a page each
+app.get('/api/groups/:groupId/cards.pdf', authenticateToken, async (req, res) => {
+    try {
+        const groupId = parseInt(req.params.groupId);
+
+        const membership = groupQueries.getMember.get(groupId, req.user.userId);
+        if (!membership || membership.status !== 'accepted') {
+            return res.status(403).json({ error: 'You are not a member of this group' });
+        }
+
+        const year = req.query.year ? parseInt(req.query.year) : null;
+        const group = groupQueries.findById.get(groupId);
+        const groupPatterns = group && group.win_patterns ? JSON.parse(group.win_patterns) : undefined;
+
+        const entries = [];
+        groupQueries.getGroupMembers.all(groupId).forEach(member => {
+            const storedCard = year
+                ? cardQueries.findByUserAndYear.get(member.user_id, year)
+                : cardQueries.findByUserId.get(member.user_id);
+            if (storedCard) {
+                const card = cardForViewer(storedCard, req.user.userId);
+                entries.push({
+                    card,
+                    ownerName: member.user_name,
+                    patterns: groupPatterns || getCardPatterns(card),
+                    stats: calculateBingoStats(card, groupPatterns)
+                });
+            }
+        });
+
+        if (entries.length === 0) {
+            return res.status(404).json({ error: 'No member cards to export' });
+        }
+
+        const pdf = await renderCardsPdf(entries, { title: group.name });
+        res.set('Content-Disposition', `inline; filename="group-${groupId}-cards.pdf"`);
+        res.type('application/pdf').send(pdf);
+    } catch (error) {
+        console.error('Export group PDF error:', error);
+        res.status(500).json({ error: 'Failed to export group PDF' });
+    }
+});
+
 // Leave group
 app.delete('/api/groups/:groupId/leave', authenticateToken, (req, res) => {
     try {
@@ -1245,27 +4222,19 @@ app.get('/api/groups/:groupId/comments/:commentId/reactions', authenticateToken,
 
 // ============= ADMIN ROUTES =============
 
-// Admin authentication middleware
+// Admin authentication middleware (same token and session checks as authenticateToken)
 function authenticateAdmin(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
-    }
-
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
-        }
-        
+    authenticateToken(req, res, () => {
         // Check if user is admin
-        const adminCheck = adminQueries.isAdmin.get(user.userId);
+        const adminCheck = adminQueries.isAdmin.get(req.user.userId);
         if (!adminCheck || !adminCheck.is_admin) {
             return res.status(403).json({ error: 'Admin access required' });
         }
-        
-        req.user = user;
+
+        if (REQUIRE_ADMIN_2FA && !userQueries.getTwoFactor.get(req.user.userId).totp_enabled) {
+            return res.status(403).json({ error: 'Admin accounts must enable two-factor authentication' });
+        }
+
         next();
     });
 }
@@ -1321,19 +4290,15 @@ app.get('/api/admin/users/:userId', authenticateAdmin, (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
         
-        // Get user's bingo card
+        // Get user's bingo cards (primary card plus the full list)
         let card = null;
+        let cards = [];
         try {
             const cardData = cardQueries.findByUserId.get(userId);
             if (cardData) {
-                card = {
-                    size: cardData.size,
-                    grid: JSON.parse(cardData.grid_data),
-                    completed: JSON.parse(cardData.completed_data),
-                    createdAt: cardData.created_at,
-                    updatedAt: cardData.updated_at
-                };
+                card = formatCard(cardData, cardData.id);
             }
+            cards = cardQueries.getAllByUserId.all(userId).map(formatCardSummary);
         } catch (error) {
             console.error('Error loading user card:', error);
         }
@@ -1359,6 +4324,7 @@ app.get('/api/admin/users/:userId', authenticateAdmin, (req, res) => {
             user: {
                 ...user,
                 card,
+                cards,
                 groups,
                 friendsCount
             }
@@ -1379,4 +4345,5 @@ app.get('/api/health', (req, res) => {
 app.listen(PORT, () => {
     console.log(`🎉 Bingo Card Server running on port ${PORT}`);
     console.log(`📝 API available at http://localhost:${PORT}/api`);
+    startReminderScheduler();
 });
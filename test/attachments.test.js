@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let stranger;
+let card;
+let photo;
+
+before(async () => {
+    server = await startServer({ MAX_ATTACHMENT_BYTES: '4096' });
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    stranger = await server.register('stranger');
+    await server.befriend(bob, alice);
+
+    const layout = makeCard(3);
+    layout.completed[0][0] = true;
+    layout.completed[2][2] = true;
+    layout.grid[2][2] = { text: 'Private goal', visibility: 'private' };
+    card = (await server.api('POST', '/cards/new', { body: layout, token: alice.token })).body.card;
+
+    photo = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#16a34a' } }).png().toBuffer();
+});
+
+after(() => server.stop());
+
+function upload(user, row, col, contents, name = 'summit.png') {
+    const form = new FormData();
+    form.append('file', new Blob([contents]), name);
+    return server.api('POST', `/cards/me/tiles/${row}/${col}/attachments`, { body: form, token: user.token });
+}
+
+test('images on completed tiles are stored with a thumbnail and shown to friends', async () => {
+    const uploaded = await upload(alice, 0, 0, photo);
+    assert.equal(uploaded.status, 201);
+    const { attachment } = uploaded.body;
+    assert.equal(attachment.mimeType, 'image/png');
+    assert.equal(attachment.originalName, 'summit.png');
+
+    const list = await server.api('GET', `/v2/cards/${card.id}/tiles/0/0/attachments`, { token: bob.token });
+    assert.deepEqual(list.body.attachments.map(found => found.id), [attachment.id]);
+
+    const file = await server.api('GET', `/attachments/${attachment.id}`, { token: bob.token });
+    assert.equal(file.status, 200);
+    assert.equal(file.headers.get('content-type'), 'image/png');
+    assert.equal(Number(file.headers.get('content-length')), photo.length);
+    assert.equal(file.headers.get('x-content-type-options'), 'nosniff');
+
+    const thumbnail = await server.api('GET', `/attachments/${attachment.id}/thumbnail`, { token: bob.token });
+    assert.equal(thumbnail.status, 200);
+    assert.equal(thumbnail.headers.get('content-type'), 'image/jpeg');
+
+    assert.equal((await server.api('GET', `/attachments/${attachment.id}`, { token: stranger.token })).status, 403);
+    assert.equal((await server.api('GET', `/v2/cards/${card.id}/tiles/0/0/attachments`, { token: stranger.token })).status, 403);
+});
+
+test('uploads are checked for tile state, file type and size', async () => {
+    assert.equal((await upload(alice, 1, 1, photo)).status, 400, 'the tile is not completed');
+    assert.equal((await upload(alice, 0, 0, Buffer.from('<html><script>alert(1)</script></html>'), 'photo.png')).status, 415);
+    assert.equal((await upload(alice, 0, 0, Buffer.alloc(5000, 0xFF))).status, 413);
+    assert.equal((await upload(stranger, 0, 0, photo)).status, 404, 'no card to attach to');
+
+    const pdf = await upload(alice, 0, 0, Buffer.from('%PDF-1.4\n% proof of purchase\n'), 'receipt.pdf');
+    assert.equal(pdf.status, 201);
+    assert.equal(pdf.body.attachment.mimeType, 'application/pdf');
+    const thumbnail = await server.api('GET', `/attachments/${pdf.body.attachment.id}/thumbnail`, { token: alice.token });
+    assert.equal(thumbnail.status, 404);
+});
+
+test("private tiles' attachments are only shown to the owner", async () => {
+    const uploaded = await upload(alice, 2, 2, photo);
+    assert.equal(uploaded.status, 201);
+
+    assert.equal((await server.api('GET', `/attachments/${uploaded.body.attachment.id}`, { token: alice.token })).status, 200);
+    assert.equal((await server.api('GET', `/attachments/${uploaded.body.attachment.id}`, { token: bob.token })).status, 403);
+    assert.equal((await server.api('GET', `/v2/cards/${card.id}/tiles/2/2/attachments`, { token: bob.token })).status, 403);
+});
+
+test('only the uploader can delete an attachment, which removes the file', async () => {
+    const uploaded = await upload(alice, 0, 0, photo);
+    const { id } = uploaded.body.attachment;
+
+    assert.equal((await server.api('DELETE', `/attachments/${id}`, { token: bob.token })).status, 404);
+    assert.equal((await server.api('DELETE', `/attachments/${id}`, { token: alice.token })).status, 200);
+    assert.equal((await server.api('GET', `/attachments/${id}`, { token: alice.token })).status, 404);
+});
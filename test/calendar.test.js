@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar } = require('../calendar');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+// Unfold content lines and return the VEVENTs as { PROPERTY: value } objects
+function parseEvents(ics) {
+    const lines = ics.replace(/\r\n /g, '').split('\r\n');
+    const events = [];
+    let current = null;
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+        } else if (line === 'END:VEVENT') {
+            events.push(current);
+            current = null;
+        } else if (current) {
+            const separator = line.indexOf(':');
+            current[line.slice(0, separator)] = line.slice(separator + 1);
+        }
+    });
+    return events;
+}
+
+function storedCard(id, grid, completed, title = 'Goals') {
+    return { id, title, year: 2025, grid_data: JSON.stringify(grid), completed_data: JSON.stringify(completed) };
+}
+
+test('open tiles with due dates and completed tiles become events', () => {
+    const card = storedCard(7, [[
+        { text: 'Trip to Lisbon, Porto; Faro', dueDate: '2025-06-30' },
+        { text: 'Learn to swim' },
+        { text: 'FREE', type: 'free' }
+    ]], [[false, { completedAt: '2025-02-03T10:00:00.000Z' }, true]]);
+
+    const ics = buildCalendar({ name: 'Alice' }, [card]);
+    const events = parseEvents(ics);
+
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.deepEqual(events.map(event => event.UID), ['due-7-0-0@bingo-card-server', 'done-7-0-1@bingo-card-server']);
+    assert.equal(events[0].SUMMARY, 'Due: Trip to Lisbon\\, Porto\\; Faro');
+    assert.equal(events[0]['DTSTART;VALUE=DATE'], '20250630');
+    assert.equal(events[0]['DTEND;VALUE=DATE'], '20250701');
+    assert.equal(events[1].DTSTART, '20250203T100000Z');
+    assert.equal(events[1].DTEND, '20250203T103000Z');
+});
+
+test('long lines are folded at 75 octets', () => {
+    const card = storedCard(8, [[{ text: 'é'.repeat(80), dueDate: '2025-01-01' }]], [[false]]);
+
+    const ics = buildCalendar({ name: 'Bob' }, [card]);
+
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.equal(parseEvents(ics)[0].SUMMARY, `Due: ${'é'.repeat(80)}`);
+});
+
+test('the feed is served by its secret URL until rotated or turned off', async () => {
+    const carol = await server.register('carol');
+    const layout = makeCard(3);
+    layout.grid[0][0] = { text: 'Run a half marathon', dueDate: '2025-10-12' };
+    await server.api('POST', '/cards/new', { body: layout, token: carol.token });
+    assert.deepEqual((await server.api('GET', '/calendar/token', { token: carol.token })).body, { url: null });
+
+    const created = await server.api('POST', '/calendar/token', { token: carol.token });
+    assert.equal(created.status, 201);
+    const feedPath = new URL(created.body.url).pathname.replace(/^\/api/, '');
+
+    const feed = await server.api('GET', feedPath);
+    assert.equal(feed.status, 200);
+    assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+    assert.deepEqual(parseEvents(feed.body).map(event => event.SUMMARY), ['Due: Run a half marathon']);
+
+    await server.api('POST', '/calendar/token', { token: carol.token });
+    assert.equal((await server.api('GET', feedPath)).status, 404, 'rotating replaces the old URL');
+
+    const { url } = (await server.api('GET', '/calendar/token', { token: carol.token })).body;
+    await server.api('DELETE', '/calendar/token', { token: carol.token });
+    assert.equal((await server.api('GET', new URL(url).pathname.replace(/^\/api/, ''))).status, 404);
+});
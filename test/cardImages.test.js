@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let stranger;
+let primary;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    stranger = await server.register('stranger');
+    await server.befriend(bob, alice);
+
+    const card = makeCard(3, (row, col) => ({ text: row === 0 && col === 0 ? 'Climb <5.10>' : `Task ${row}-${col}` }));
+    card.completed[0] = [true, true, true];
+    const response = await server.api('POST', '/cards/new', { body: { ...card, title: 'Climbing year' }, token: alice.token });
+    assert.equal(response.status, 201);
+    primary = response.body.card;
+    await server.api('POST', '/cards/new', { body: { ...makeCard(3), title: 'Side card' }, token: alice.token });
+});
+
+after(() => server.stop());
+
+test('the user-keyed routes render the primary card with the JSON route permissions', async () => {
+    const svg = await server.api('GET', `/cards/${alice.id}/image.svg`, { token: bob.token });
+
+    assert.equal(svg.status, 200);
+    assert.match(svg.headers.get('content-type'), /^image\/svg\+xml/);
+    assert.match(svg.body, /Climbing year/);
+    assert.match(svg.body, /Climb &lt;5\.10&gt;/);
+    assert.match(svg.body, /#fde68a/, 'the completed row is highlighted as a bingo');
+    assert.equal(svg.headers.get('deprecation'), 'true');
+    assert.equal(svg.headers.get('link'), `</api/v2/cards/${primary.id}/image.svg>; rel="successor-version"`);
+
+    assert.equal((await server.api('GET', `/cards/${alice.id}/image.svg`, { token: stranger.token })).status, 403);
+    assert.equal((await server.api('GET', `/cards/${stranger.id}/image.png`, { token: stranger.token })).status, 404);
+});
+
+test('PNG images are rendered too', async () => {
+    const png = await server.api('GET', `/cards/${alice.id}/image.png`, { token: alice.token });
+
+    assert.equal(png.status, 200);
+    assert.equal(png.headers.get('content-type'), 'image/png');
+    assert.equal(png.body.slice(1, 4), 'PNG');
+    assert.equal(png.headers.get('link'), `</api/v2/cards/${primary.id}/image.png>; rel="successor-version"`);
+});
+
+test('any card can be rendered by card ID under /api/v2/cards', async () => {
+    const cards = (await server.api('GET', '/cards', { token: alice.token })).body.cards;
+    const side = cards.find(card => !card.isPrimary);
+
+    const svg = await server.api('GET', `/v2/cards/${side.id}/image.svg`, { token: bob.token });
+
+    assert.equal(svg.status, 200);
+    assert.match(svg.body, /Side card/);
+    assert.equal(svg.headers.get('deprecation'), null);
+    assert.equal((await server.api('GET', `/v2/cards/${side.id}/image.svg`, { token: stranger.token })).status, 403);
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let stranger;
+let card;
+let groupId;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    stranger = await server.register('stranger');
+    await server.befriend(bob, alice);
+
+    const layout = makeCard(4);
+    layout.completed[0] = [true, true, true, true];
+    card = (await server.api('POST', '/cards/new', { body: { ...layout, title: 'Office goals' }, token: alice.token })).body.card;
+    await server.api('POST', '/cards/new', { body: makeCard(3), token: bob.token });
+
+    groupId = (await server.api('POST', '/groups', { body: { name: 'Office wall' }, token: alice.token })).body.group.id;
+    await server.api('POST', `/groups/${groupId}/invite`, { body: { friendId: bob.id }, token: alice.token });
+    const [invitation] = (await server.api('GET', '/groups/invitations/pending', { token: bob.token })).body.invitations;
+    await server.api('POST', `/groups/invitations/${invitation.id}/accept`, { token: bob.token });
+});
+
+after(() => server.stop());
+
+// Page objects in the PDF ("/Type /Page", not the "/Type /Pages" tree)
+const countPages = pdf => (pdf.match(/\/Type \/Page\b(?!s)/g) || []).length;
+
+test('a card exports as a one-page PDF for its owner and friends', async () => {
+    const pdf = await server.api('GET', `/v2/cards/${card.id}/card.pdf`, { token: bob.token });
+
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    assert.equal(pdf.headers.get('content-disposition'), `inline; filename="bingo-card-${card.id}.pdf"`);
+    assert.ok(pdf.body.startsWith('%PDF-'));
+    assert.equal(countPages(pdf.body), 1);
+
+    assert.equal((await server.api('GET', `/v2/cards/${card.id}/card.pdf`, { token: stranger.token })).status, 403);
+    assert.equal((await server.api('GET', '/v2/cards/999999/card.pdf', { token: alice.token })).status, 404);
+});
+
+test("a group exports every member's card, one page each", async () => {
+    const pdf = await server.api('GET', `/groups/${groupId}/cards.pdf`, { token: bob.token });
+
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    assert.equal(countPages(pdf.body), 2);
+
+    assert.equal((await server.api('GET', `/groups/${groupId}/cards.pdf`, { token: stranger.token })).status, 403);
+    assert.equal((await server.api('GET', `/groups/${groupId}/cards.pdf?year=1999`, { token: alice.token })).status, 404);
+});
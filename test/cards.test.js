@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let stranger;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    stranger = await server.register('stranger');
+    await server.befriend(bob, alice);
+});
+
+after(() => server.stop());
+
+async function createCard(user, fields = {}) {
+    const response = await server.api('POST', '/cards/new', { body: { ...makeCard(3), ...fields }, token: user.token });
+    assert.equal(response.status, 201);
+    return response.body.card;
+}
+
+test('the first card is primary and later cards are listed alongside it', async () => {
+    const first = await createCard(alice, { title: 'Resolutions', year: 2025 });
+    const second = await createCard(alice, { title: 'Side quests', year: 2025 });
+
+    const list = await server.api('GET', '/cards', { token: alice.token });
+
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.cards.map(card => [card.id, card.isPrimary]).sort(), [[first.id, true], [second.id, false]]);
+});
+
+test('cards are fetched by card ID under /api/v2/cards, by the owner or a friend', async () => {
+    const card = await createCard(alice, { title: 'Fetch me' });
+
+    const own = await server.api('GET', `/v2/cards/${card.id}`, { token: alice.token });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.card.title, 'Fetch me');
+    assert.equal(own.headers.get('etag'), `"${card.id}-${own.body.card.version}"`);
+
+    assert.equal((await server.api('GET', `/v2/cards/${card.id}`, { token: bob.token })).status, 200);
+    assert.equal((await server.api('GET', `/v2/cards/${card.id}`, { token: stranger.token })).status, 403);
+    assert.equal((await server.api('GET', '/v2/cards/999999', { token: alice.token })).status, 404);
+});
+
+test('the unversioned route stays read-only and keyed by user ID', async () => {
+    const primary = (await server.api('GET', '/cards/me', { token: alice.token })).body.card;
+
+    const legacy = await server.api('GET', `/cards/${alice.id}`, { token: bob.token });
+
+    assert.equal(legacy.status, 200);
+    assert.equal(legacy.body.card.id, primary.id);
+    assert.equal(legacy.headers.get('deprecation'), 'true');
+    assert.equal(legacy.headers.get('link'), `</api/v2/cards/${primary.id}>; rel="successor-version"`);
+    assert.equal((await server.api('GET', `/cards/${alice.id}`, { token: stranger.token })).status, 403);
+
+    // Writes by ID only exist under /api/v2/cards, so an ID here is never taken as a card ID
+    const card = makeCard(3);
+    assert.equal((await server.api('PUT', `/cards/${primary.id}`, { body: card, token: alice.token })).status, 404);
+    assert.equal((await server.api('DELETE', `/cards/${primary.id}`, { token: alice.token })).status, 404);
+    assert.equal((await server.api('GET', `/v2/cards/${primary.id}`, { token: alice.token })).status, 200);
+});
+
+test('saving, switching the primary card and deleting go through /api/v2/cards', async () => {
+    const carol = await server.register('carol');
+    const first = await createCard(carol);
+    const second = await createCard(carol);
+
+    const saved = await server.api('PUT', `/v2/cards/${second.id}`, {
+        body: { ...makeCard(3, () => ({ text: 'Updated' })), title: 'Renamed' },
+        headers: { 'If-Match': `"${second.id}-${second.version}"` },
+        token: carol.token
+    });
+    assert.equal(saved.status, 200);
+
+    const primary = await server.api('POST', `/v2/cards/${second.id}/primary`, { token: carol.token });
+    assert.equal(primary.status, 200);
+    const legacy = await server.api('GET', `/cards/${carol.id}`, { token: carol.token });
+    assert.equal(legacy.body.card.id, second.id);
+    assert.equal(legacy.body.card.title, 'Renamed');
+
+    assert.equal((await server.api('DELETE', `/v2/cards/${second.id}`, { token: alice.token })).status, 404, "others can't delete it");
+    const deleted = await server.api('DELETE', `/v2/cards/${second.id}`, { token: carol.token });
+    assert.equal(deleted.status, 200);
+    const me = await server.api('GET', '/cards/me', { token: carol.token });
+    assert.equal(me.body.card.id, first.id, 'the remaining card becomes primary');
+});
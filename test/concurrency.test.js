@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let card;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+});
+
+after(() => server.stop());
+
+// Each test starts from a fresh card with a known version
+async function freshCard() {
+    const response = await server.api('POST', '/cards/new', { body: makeCard(3), token: alice.token });
+    assert.equal(response.status, 201);
+    card = response.body.card;
+    return card;
+}
+
+function save(target, headers = {}, body = {}) {
+    return server.api('PUT', `/v2/cards/${target.id}`, {
+        body: { ...makeCard(3, () => ({ text: 'Saved' })), ...body },
+        headers,
+        token: alice.token
+    });
+}
+
+const etag = (target, version = target.version) => `"${target.id}-${version}"`;
+
+test('saving an existing card without a version is refused with 428', async () => {
+    await freshCard();
+
+    const response = await save(card);
+
+    assert.equal(response.status, 428);
+    assert.equal(response.body.version, card.version);
+    assert.equal(response.headers.get('etag'), etag(card));
+});
+
+test('a matching If-Match saves and bumps the version and ETag', async () => {
+    await freshCard();
+
+    const response = await save(card, { 'If-Match': etag(card) });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.version, card.version + 1);
+    assert.equal(response.headers.get('etag'), etag(card, card.version + 1));
+});
+
+test('a stale version gets 409 with the current card to merge', async () => {
+    await freshCard();
+    assert.equal((await save(card, { 'If-Match': etag(card) })).status, 200);
+
+    const stale = await save(card, { 'If-Match': etag(card) }, { title: 'Second device' });
+
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.card.version, card.version + 1);
+    assert.equal(stale.body.card.grid[0][0].text, 'Saved');
+    assert.equal(stale.headers.get('etag'), etag(card, card.version + 1));
+});
+
+test('the version can also come from the body', async () => {
+    await freshCard();
+
+    assert.equal((await save(card, {}, { version: card.version + 5 })).status, 409);
+    assert.equal((await save(card, {}, { version: card.version })).status, 200);
+});
+
+test('If-Match accepts *, weak ETags and lists, but not ETags of other cards', async () => {
+    await freshCard();
+    const other = await server.api('POST', '/cards/new', { body: makeCard(3), token: alice.token });
+
+    const otherCardTag = etag(other.body.card, card.version);
+    assert.equal((await save(card, { 'If-Match': otherCardTag })).status, 409);
+    assert.equal((await save(card, { 'If-Match': 'not-an-etag' })).status, 400);
+
+    assert.equal((await save(card, { 'If-Match': `W/${etag(card)}` })).status, 200);
+    assert.equal((await save(card, { 'If-Match': `${etag(card)}, ${etag(card, card.version + 1)}` })).status, 200);
+    assert.equal((await save(card, { 'If-Match': '*' })).status, 200);
+});
+
+test('tile updates check the version when one is sent', async () => {
+    await freshCard();
+    await server.api('POST', `/v2/cards/${card.id}/primary`, { token: alice.token });
+
+    const stale = await server.api('PATCH', '/cards/me/tiles/1/1', {
+        body: { completed: true },
+        headers: { 'If-Match': etag(card, card.version - 1) },
+        token: alice.token
+    });
+    assert.equal(stale.status, 409);
+
+    const current = await server.api('PATCH', '/cards/me/tiles/1/1', {
+        body: { completed: true },
+        headers: { 'If-Match': etag(card) },
+        token: alice.token
+    });
+    assert.equal(current.status, 200);
+    assert.equal(current.headers.get('etag'), etag(card, card.version + 1));
+});
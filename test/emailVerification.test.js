@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer({ REQUIRE_VERIFIED_EMAIL: 'true' });
+});
+
+after(() => server.stop());
+
+function tokenFrom(message, route) {
+    return message.text.match(new RegExp(`${route}\\?token=([\\w-]+)`))[1];
+}
+
+async function verificationToken(email, seen) {
+    return tokenFrom(await server.waitForMail(email, /Verify your Bingo Card email address/, seen), 'verify-email');
+}
+
+async function emailVerified(user) {
+    return (await server.api('GET', '/auth/me', { token: user.token })).body.user.email_verified;
+}
+
+test('registering sends a link that verifies the address once', async () => {
+    const alice = await server.register('alice');
+    assert.equal(await emailVerified(alice), 0);
+    const token = await verificationToken(alice.email);
+
+    const verified = await server.api('POST', '/auth/verify-email', { body: { token } });
+
+    assert.equal(verified.status, 200);
+    assert.equal(await emailVerified(alice), 1);
+    assert.equal((await server.api('POST', '/auth/verify-email', { body: { token } })).status, 400);
+    assert.equal((await server.api('POST', '/auth/resend-verification', { token: alice.token })).status, 400);
+});
+
+test('unverified accounts are kept from inviting others', async () => {
+    const bob = await server.register('bob');
+    const carol = await server.register('carol');
+
+    const blocked = await server.api('POST', '/friends/request', { body: { friendEmail: carol.email }, token: bob.token });
+    assert.equal(blocked.status, 403);
+
+    await server.api('POST', '/auth/verify-email', { body: { token: await verificationToken(bob.email) } });
+    const allowed = await server.api('POST', '/friends/request', { body: { friendEmail: carol.email }, token: bob.token });
+    assert.equal(allowed.status, 201);
+});
+
+test('changing the email needs verifying again and voids links for the old address', async () => {
+    const dave = await server.register('dave');
+    const oldLink = await verificationToken(dave.email);
+    await server.api('POST', '/auth/forgot-password', { body: { email: dave.email } });
+    const resetMessage = await server.waitForMail(dave.email, /Reset your Bingo Card password/);
+    const resetToken = tokenFrom(resetMessage, 'reset-password');
+
+    const seen = server.readMail();
+    const updated = await server.api('PUT', '/auth/profile', {
+        body: { name: 'Dave', email: 'dave.new@example.com' },
+        token: dave.token
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.user.email_verified, 0);
+
+    const stale = await server.api('POST', '/auth/verify-email', { body: { token: oldLink } });
+    assert.equal(stale.status, 400);
+    const staleReset = await server.api('POST', '/auth/reset-password', { body: { token: resetToken, password: 'taken-over-account' } });
+    assert.equal(staleReset.status, 400);
+
+    const newLink = await verificationToken('dave.new@example.com', seen);
+    const verified = await server.api('POST', '/auth/verify-email', { body: { token: newLink } });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.email, 'dave.new@example.com');
+    assert.equal(await emailVerified(dave), 1);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let alice;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+});
+
+after(() => server.stop());
+
+const tasks = Array.from({ length: 9 }, (_, i) => ({ text: `Task ${i}` }));
+
+function generate(body) {
+    return server.api('POST', '/cards/generate', { body: { size: 3, ...body }, token: alice.token });
+}
+
+test('generating is repeatable for the same tasks and seed', async () => {
+    const first = await generate({ tasks, seed: 'abc' });
+    const second = await generate({ tasks, seed: 'abc' });
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.grid, second.body.grid);
+    assert.equal(first.body.grid.flat().length, 9);
+});
+
+test('every tile field is validated, not just text', async () => {
+    const badTasks = [
+        { text: 'Habit', habit: { frequency: 'daily', timesPerPeriod: -1, goalPeriods: 1 } },
+        { text: 'Points', points: -3 },
+        { text: 'Due', dueDate: 'soon' },
+        { text: 'Visibility', visibility: 'secret' },
+        { text: 'Target', target: 0 },
+        ...tasks.slice(5)
+    ];
+
+    const response = await generate({ tasks: badTasks, save: true });
+
+    assert.equal(response.status, 400);
+    const fields = response.body.details.map(detail => detail.field);
+    assert.ok(fields.includes('tasks[0].habit.timesPerPeriod'));
+    assert.ok(fields.includes('tasks[1].points'));
+    assert.ok(fields.includes('tasks[2].dueDate'));
+    assert.ok(fields.includes('tasks[3].visibility'));
+    assert.ok(fields.includes('tasks[4].target'));
+
+    const cards = await server.api('GET', '/cards', { token: alice.token });
+    assert.equal(cards.body.cards.length, 0, 'nothing is saved when validation fails');
+});
+
+test('tasks that are neither strings nor objects are rejected', async () => {
+    const response = await generate({ tasks: [42, ...tasks.slice(1)] });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details.map(detail => detail.field), ['tasks[0]']);
+});
+
+test('valid tile fields are kept on the saved card', async () => {
+    const richTasks = [
+        { text: 'Run', habit: { frequency: 'weekly', timesPerPeriod: 2, goalPeriods: 4 }, points: 3 },
+        { text: 'Read', dueDate: '2030-06-01', visibility: 'private' },
+        ...tasks.slice(2)
+    ];
+
+    const response = await generate({ tasks: richTasks, save: true });
+
+    assert.equal(response.status, 201);
+    const tiles = response.body.card.grid.flat();
+    const run = tiles.find(tile => tile.text === 'Run');
+    const read = tiles.find(tile => tile.text === 'Read');
+    assert.deepEqual(run.habit, { frequency: 'weekly', timesPerPeriod: 2, goalPeriods: 4 });
+    assert.equal(run.points, 3);
+    assert.equal(read.dueDate, '2030-06-01');
+    assert.equal(read.visibility, 'private');
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeHabit } = require('../habits');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+
+// A card whose top-left tile is done after stretching on two days
+async function createHabitCard(user) {
+    const card = makeCard(3, (row, col) => (row === 0 && col === 0
+        ? { text: 'Stretch', habit: { frequency: 'daily', goalPeriods: 2 } }
+        : { text: `Task ${row}-${col}` }));
+    const response = await server.api('POST', '/cards/new', { body: card, token: user.token });
+    assert.equal(response.status, 201);
+    return response.body.card;
+}
+
+function checkIn(user, date) {
+    return server.api('POST', '/cards/me/tiles/0/0/checkins', { body: date ? { date } : {}, token: user.token });
+}
+
+async function getCheckins(user, card) {
+    const response = await server.api('GET', `/v2/cards/${card.id}/tiles/0/0/checkins`, { token: user.token });
+    assert.equal(response.status, 200);
+    return response.body;
+}
+
+test('summaries count met periods and streaks', () => {
+    const habit = { frequency: 'weekly', timesPerPeriod: 2, goalPeriods: 2 };
+    // Mondays 2025-01-06, 01-13 and 01-20; the week of 01-13 has one check-in only
+    const summary = summarizeHabit(habit, ['2025-01-06', '2025-01-08', '2025-01-13', '2025-01-20', '2025-01-21'], '2025-01-22');
+
+    assert.equal(summary.periodsMet, 2);
+    assert.equal(summary.complete, true);
+    assert.equal(summary.completedOn, '2025-01-21');
+    assert.deepEqual(summary.currentPeriod, { start: '2025-01-20', checkins: 2, met: true });
+    assert.deepEqual([summary.currentStreak, summary.longestStreak], [1, 1]);
+});
+
+test('check-ins complete the tile at the goal and deleting one reopens it', async () => {
+    const alice = await server.register('alice');
+    const card = await createHabitCard(alice);
+
+    const first = await checkIn(alice, daysAgo(1));
+    assert.equal(first.status, 201);
+    assert.equal(first.body.completed, false);
+    const second = await checkIn(alice);
+    assert.equal(second.status, 201);
+    assert.equal(second.body.completed, true);
+    assert.deepEqual([second.body.habit.periodsMet, second.body.habit.currentStreak], [2, 2]);
+    assert.ok((await server.api('GET', '/cards/me', { token: alice.token })).body.card.completed[0][0]);
+
+    const deleted = await server.api('DELETE', `/cards/me/tiles/0/0/checkins/${second.body.checkin.id}`, { token: alice.token });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.completed, false);
+    assert.equal((await getCheckins(alice, card)).checkins.length, 1);
+});
+
+test('check-ins are refused twice a day, in the future and on regular tiles', async () => {
+    const bob = await server.register('bob');
+    await createHabitCard(bob);
+
+    assert.equal((await checkIn(bob)).status, 201);
+    assert.equal((await checkIn(bob)).status, 409);
+    assert.equal((await checkIn(bob, daysAgo(-2))).status, 400);
+    assert.equal((await checkIn(bob, '2025-13-01')).status, 400);
+    const plainTile = await server.api('POST', '/cards/me/tiles/1/1/checkins', { body: {}, token: bob.token });
+    assert.equal(plainTile.status, 400);
+});
+
+test('a conflict rolls the check-in back so it can be retried', async () => {
+    const carol = await server.register('carol');
+    const card = await createHabitCard(carol);
+    await checkIn(carol, daysAgo(1));
+
+    const release = server.holdCard(card.id);
+    const conflict = await checkIn(carol);
+    release();
+
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.body.card.id, card.id);
+    assert.equal((await getCheckins(carol, card)).checkins.length, 1);
+
+    const retried = await checkIn(carol);
+    assert.equal(retried.status, 201);
+    assert.equal(retried.body.completed, true);
+});
+
+test('a conflict keeps a deleted check-in in place', async () => {
+    const dave = await server.register('dave');
+    const card = await createHabitCard(dave);
+    await checkIn(dave, daysAgo(1));
+    const latest = await checkIn(dave);
+    assert.equal(latest.body.completed, true);
+
+    const release = server.holdCard(card.id);
+    const conflict = await server.api('DELETE', `/cards/me/tiles/0/0/checkins/${latest.body.checkin.id}`, { token: dave.token });
+    release();
+
+    assert.equal(conflict.status, 409);
+    assert.equal((await getCheckins(dave, card)).habit.periodsMet, 2);
+});
@@ -0,0 +1,223 @@
+// ============= TEST HELPERS =============
+// Starts server.js on a free port against a throwaway data directory (database, uploads and a
+// file mail outbox), and wraps its API for the tests. Each test file starts its own server.
+
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const PASSWORD = 'correct-horse-battery';
+const JWT_SECRET = 'test-secret';
+const STARTUP_TIMEOUT_MS = 15000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Decode a quoted-printable body as written by nodemailer
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const source = text.replace(/=\r?\n/g, '');
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '=' && /^[0-9A-F]{2}$/i.test(source.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(...Buffer.from(source[i]));
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+function parseEml(raw) {
+    const split = raw.indexOf('\n\n');
+    const headerText = raw.slice(0, split).replace(/\n\s+/g, ' ');
+    const header = name => {
+        const match = headerText.match(new RegExp(`^${name}: (.*)$`, 'mi'));
+        return match ? match[1].trim() : null;
+    };
+    const body = raw.slice(split + 2);
+    const encoding = header('Content-Transfer-Encoding');
+    return {
+        to: header('To'),
+        subject: header('Subject'),
+        text: encoding === 'quoted-printable' ? decodeQuotedPrintable(body) : body
+    };
+}
+
+// Start a server. env is added to the test defaults; call stop() when done.
+async function startServer(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bingo-test-'));
+    const mailDir = path.join(dataDir, 'mail');
+    const port = await getFreePort();
+    const baseUrl = `http://127.0.0.1:${port}/api`;
+
+    const childEnv = {
+        ...process.env,
+        NODE_ENV: 'test',
+        PORT: String(port),
+        JWT_SECRET,
+        DATA_DIR: dataDir,
+        REMINDER_INTERVAL_MINUTES: '0',
+        MAIL_TRANSPORT: 'file',
+        MAIL_FILE_DIR: mailDir,
+        ...env
+    };
+    delete childEnv.RAILWAY_ENVIRONMENT;
+
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: childEnv,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    // Keep the tail of the output for startup failures; the database logs every statement
+    let output = '';
+    const collect = chunk => { output = (output + chunk).slice(-4000); };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    let exited = false;
+    child.on('exit', () => { exited = true; });
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    for (;;) {
+        if (exited) {
+            throw new Error(`Server exited during startup:\n${output}`);
+        }
+        try {
+            const response = await fetch(`${baseUrl}/health`);
+            if (response.ok) break;
+        } catch (error) {
+            // Not listening yet
+        }
+        if (Date.now() > deadline) {
+            child.kill();
+            throw new Error(`Server did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    // Call the API. Strings and FormData are sent as they are, other bodies as JSON.
+    // Returns { status, body, headers }; body is parsed JSON when possible.
+    async function api(method, urlPath, { body, token, headers = {} } = {}) {
+        const requestHeaders = { ...headers };
+        if (token) {
+            requestHeaders.Authorization = `Bearer ${token}`;
+        }
+        let requestBody;
+        if (typeof body === 'string' || body instanceof FormData) {
+            requestBody = body;
+        } else if (body !== undefined) {
+            requestHeaders['Content-Type'] = 'application/json';
+            requestBody = JSON.stringify(body);
+        }
+
+        const response = await fetch(baseUrl + urlPath, { method, headers: requestHeaders, body: requestBody });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON (CSV, calendar, ...)
+        }
+        return { status: response.status, body: parsed, headers: response.headers };
+    }
+
+    // Register name@example.com. Returns { id, email, token, refreshToken }.
+    async function register(name) {
+        const email = `${name}@example.com`;
+        const response = await api('POST', '/auth/register', { body: { name, email, password: PASSWORD } });
+        if (response.status !== 201) {
+            throw new Error(`Register ${email} failed: ${response.status} ${JSON.stringify(response.body)}`);
+        }
+        return { id: response.body.user.id, email, token: response.body.token, refreshToken: response.body.refreshToken };
+    }
+
+    async function login(email, password = PASSWORD) {
+        return api('POST', '/auth/login', { body: { email, password } });
+    }
+
+    // Make two registered users accepted friends
+    async function befriend(requester, addressee) {
+        await api('POST', '/friends/request', { body: { friendEmail: addressee.email }, token: requester.token });
+        const requests = await api('GET', '/friends/requests', { token: addressee.token });
+        const request = requests.body.requests.find(r => r.user1_id === requester.id);
+        await api('POST', `/friends/accept/${request.id}`, { token: addressee.token });
+    }
+
+    // Messages in the mail outbox, oldest first: [{ file, to, subject, text }]
+    function readMail() {
+        if (!fs.existsSync(mailDir)) return [];
+        return fs.readdirSync(mailDir)
+            .filter(file => file.endsWith('.eml'))
+            .sort()
+            .map(file => ({ file, ...parseEml(fs.readFileSync(path.join(mailDir, file), 'utf8')) }));
+    }
+
+    // The newest message to an address, waiting briefly since the server doesn't await sends.
+    // Pass an earlier readMail() result as `seen` to wait for a message sent after it.
+    async function waitForMail(to, subjectPattern, seen = []) {
+        const seenFiles = new Set(seen.map(message => message.file));
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const message = readMail().reverse()
+                .find(m => !seenFiles.has(m.file) && m.to.includes(to) && subjectPattern.test(m.subject));
+            if (message) return message;
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        throw new Error(`No email to ${to} matching ${subjectPattern}`);
+    }
+
+    // Direct database access for setting up state the API doesn't expose (e.g. admin flags)
+    function openDatabase() {
+        const Database = require('better-sqlite3');
+        return new Database(path.join(dataDir, 'database.sqlite'));
+    }
+
+    // Make every write to a card lose, as if another device kept saving it first.
+    // Returns a function that lets writes through again.
+    function holdCard(cardId) {
+        const run = sql => {
+            const db = openDatabase();
+            db.exec(sql);
+            db.close();
+        };
+        run(`CREATE TRIGGER hold_card_${cardId} BEFORE UPDATE ON bingo_cards WHEN OLD.id = ${cardId} BEGIN SELECT RAISE(IGNORE); END`);
+        return () => run(`DROP TRIGGER hold_card_${cardId}`);
+    }
+
+    async function stop() {
+        if (!exited) {
+            child.kill();
+            await once(child, 'exit');
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { api, register, login, befriend, readMail, waitForMail, openDatabase, holdCard, stop };
+}
+
+// An empty size x size grid of plain tiles, for creating cards in tests
+function makeCard(size, makeTile = (row, col) => ({ text: `Task ${row}-${col}` })) {
+    return {
+        size,
+        grid: Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, col) => makeTile(row, col))),
+        completed: Array.from({ length: size }, () => Array(size).fill(false))
+    };
+}
+
+module.exports = {
+    PASSWORD,
+    JWT_SECRET,
+    startServer,
+    makeCard
+};
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTaskCsv, tilesToCsv } = require('../cardTransfer');
+const { parseCsv } = require('../csv');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+});
+
+after(() => server.stop());
+
+const taskLines = count => Array.from({ length: count }, (_, i) => `Task ${i}`);
+
+test('parseTaskCsv infers the size and fills tiles in order', () => {
+    const parsed = parseTaskCsv(['text,points', ...taskLines(9).map(text => `${text},2`)].join('\n'));
+
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.size, 3);
+    assert.deepEqual(parsed.grid[1][2], { text: 'Task 5', points: 2 });
+});
+
+test('parseTaskCsv reports problems by CSV line and ignores completion columns', () => {
+    const csv = ['text,points,completed,completed_at', 'Fine,1,true,2001-01-01', ',2,true,', 'Too many,-1,,', ...taskLines(6)].join('\n');
+    const parsed = parseTaskCsv(csv);
+
+    assert.deepEqual(parsed.errors.map(({ line, field }) => ({ line, field })), [
+        { line: 3, field: 'text' },
+        { line: 4, field: 'points' }
+    ]);
+    assert.deepEqual(parsed.grid[0][0], { text: 'Fine', points: 1 });
+});
+
+test('tilesToCsv neutralizes spreadsheet formulas', () => {
+    const csv = tilesToCsv([{
+        row: 0,
+        col: 0,
+        text: '=HYPERLINK("http://evil.example","click")',
+        type: '+cmd',
+        points: null,
+        target: null,
+        unit: '@SUM(A1)',
+        dueDate: null,
+        completed: false,
+        completedAt: null,
+        comments: [{ author: '-Mallory', createdAt: '2024-01-01', text: 'hi' }]
+    }]);
+
+    const [, row] = parseCsv(csv);
+    assert.equal(row[2], '\'=HYPERLINK("http://evil.example","click")');
+    assert.equal(row[3], '\'+cmd');
+    assert.equal(row[6], '\'@SUM(A1)');
+    assert.ok(row[10].startsWith('\'-Mallory'));
+});
+
+test('importing a CSV never marks tiles completed', async () => {
+    const csv = ['text,completed,completed_at', ...taskLines(9).map(text => `${text},true,2001-01-01T00:00:00Z`)].join('\n');
+
+    const response = await server.api('POST', '/cards/import', { body: { csv, title: 'Imported' }, token: alice.token });
+
+    assert.equal(response.status, 201);
+    assert.ok(response.body.card.completed.flat().every(value => value === false));
+    const exported = await server.api('GET', `/cards/me/export?cardId=${response.body.card.id}`, { token: alice.token });
+    assert.ok(exported.body.tiles.every(tile => !tile.completed && !tile.completedAt));
+});
+
+test('an invalid import answers with per-line errors and stores nothing', async () => {
+    const cardsBefore = await server.api('GET', '/cards', { token: alice.token });
+    const csv = ['text', ...taskLines(8), 'x'.repeat(300)].join('\n');
+
+    const response = await server.api('POST', '/cards/import', {
+        body: csv,
+        headers: { 'Content-Type': 'text/csv' },
+        token: alice.token
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid CSV import');
+    assert.deepEqual(response.body.details.map(({ line, field }) => ({ line, field })), [{ line: 10, field: 'text' }]);
+    const cardsAfter = await server.api('GET', '/cards', { token: alice.token });
+    assert.equal(cardsAfter.body.cards.length, cardsBefore.body.cards.length);
+});
+
+test('CSV export escapes formulas in tile text', async () => {
+    const card = makeCard(3, (row, col) => ({ text: row === 0 && col === 0 ? '=1+1' : 'Plain' }));
+    const created = await server.api('POST', '/cards/new', { body: card, token: alice.token });
+    assert.equal(created.status, 201);
+
+    const response = await server.api('GET', `/cards/me/export?format=csv&cardId=${created.body.card.id}`, { token: alice.token });
+
+    assert.equal(response.status, 200);
+    const [header, first] = parseCsv(response.body);
+    assert.equal(first[header.indexOf('text')], '\'=1+1');
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let stranger;
+let card;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    stranger = await server.register('stranger');
+    await server.befriend(bob, alice);
+    card = (await server.api('POST', '/cards/new', { body: makeCard(3), token: alice.token })).body.card;
+});
+
+after(() => server.stop());
+
+function addEntry(body) {
+    return server.api('POST', '/cards/me/tiles/1/1/journal', { body, token: alice.token });
+}
+
+async function readJournal(user, row = 1, col = 1) {
+    const response = await server.api('GET', `/v2/cards/${card.id}/tiles/${row}/${col}/journal`, { token: user.token });
+    assert.equal(response.status, 200);
+    return response.body.entries;
+}
+
+test('entries are private to the owner unless shared', async () => {
+    const privateEntry = await addEntry({ body: '  First week done  ', mood: 'good', date: '2025-03-01' });
+    assert.equal(privateEntry.status, 201);
+    assert.deepEqual(
+        [privateEntry.body.entry.body, privateEntry.body.entry.mood, privateEntry.body.entry.date, privateEntry.body.entry.shared],
+        ['First week done', 'good', '2025-03-01', false]
+    );
+    const sharedEntry = await addEntry({ body: 'Halfway there', shared: true });
+    assert.equal(sharedEntry.status, 201);
+
+    assert.equal((await readJournal(alice)).length, 2);
+    assert.deepEqual((await readJournal(bob)).map(entry => entry.body), ['Halfway there']);
+    const strangerView = await server.api('GET', `/v2/cards/${card.id}/tiles/1/1/journal`, { token: stranger.token });
+    assert.equal(strangerView.status, 403);
+});
+
+test('entries can be edited, shared and deleted by their author only', async () => {
+    const { entry } = (await addEntry({ body: 'Rough day', mood: 'low' })).body;
+
+    assert.equal((await server.api('PUT', `/journal/${entry.id}`, { body: { shared: true }, token: bob.token })).status, 404);
+    const updated = await server.api('PUT', `/journal/${entry.id}`, { body: { shared: true, mood: null }, token: alice.token });
+    assert.equal(updated.status, 200);
+    assert.deepEqual([updated.body.entry.body, updated.body.entry.mood, updated.body.entry.shared], ['Rough day', null, true]);
+    assert.ok((await readJournal(bob)).some(found => found.id === entry.id));
+
+    assert.equal((await server.api('DELETE', `/journal/${entry.id}`, { token: bob.token })).status, 404);
+    assert.equal((await server.api('DELETE', `/journal/${entry.id}`, { token: alice.token })).status, 200);
+    assert.ok(!(await readJournal(alice)).some(found => found.id === entry.id));
+});
+
+test('entries are validated field by field', async () => {
+    const invalid = await addEntry({ body: ' ', mood: 'ecstatic', date: '2025-02-30x', shared: 'yes' });
+
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(error => error.field), ['body', 'mood', 'date', 'shared']);
+    assert.equal((await addEntry({ body: 'x'.repeat(5001) })).status, 400);
+    const outside = await server.api('POST', '/cards/me/tiles/3/0/journal', { body: { body: 'Off the card' }, token: alice.token });
+    assert.equal(outside.status, 400);
+});
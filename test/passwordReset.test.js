@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+async function requestReset(email) {
+    const seen = server.readMail();
+    const response = await server.api('POST', '/auth/forgot-password', { body: { email } });
+    assert.equal(response.status, 200);
+    const message = await server.waitForMail(email, /Reset your Bingo Card password/, seen);
+    return message.text.match(/reset-password\?token=([\w-]+)/)[1];
+}
+
+test('unknown emails get the same answer and no email', async () => {
+    const known = await server.register('alice');
+    const knownResponse = await server.api('POST', '/auth/forgot-password', { body: { email: known.email } });
+
+    const unknownResponse = await server.api('POST', '/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+
+    assert.equal(unknownResponse.status, knownResponse.status);
+    assert.deepEqual(unknownResponse.body, knownResponse.body);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.ok(!server.readMail().some(message => message.to.includes('nobody@example.com')));
+});
+
+test('a reset link sets a new password once and logs out every session', async () => {
+    const bob = await server.register('bob');
+    const token = await requestReset(bob.email);
+
+    const tooShort = await server.api('POST', '/auth/reset-password', { body: { token, password: 'short' } });
+    assert.equal(tooShort.status, 400);
+    assert.equal(tooShort.body.details[0].field, 'password');
+
+    const reset = await server.api('POST', '/auth/reset-password', { body: { token, password: 'a-brand-new-password' } });
+    assert.equal(reset.status, 200);
+
+    assert.equal((await server.api('GET', '/auth/me', { token: bob.token })).status, 403);
+    assert.equal((await server.api('POST', '/auth/refresh', { body: { refreshToken: bob.refreshToken } })).status, 401);
+    assert.equal((await server.login(bob.email)).status, 401);
+    assert.equal((await server.login(bob.email, 'a-brand-new-password')).status, 200);
+
+    const reused = await server.api('POST', '/auth/reset-password', { body: { token, password: 'yet-another-password' } });
+    assert.equal(reused.status, 400);
+});
+
+test('registering and changing the password need the same minimum length', async () => {
+    const tooShort = await server.api('POST', '/auth/register', {
+        body: { name: 'dave', email: 'dave@example.com', password: 'short' }
+    });
+    assert.equal(tooShort.status, 400);
+    assert.equal(tooShort.body.details[0].field, 'password');
+
+    const dave = await server.register('dave');
+    const shortChange = await server.api('PUT', '/auth/profile', {
+        body: { name: 'Dave', email: dave.email, password: '1234567' },
+        token: dave.token
+    });
+    assert.equal(shortChange.status, 400);
+    assert.equal(shortChange.body.details[0].field, 'password');
+    assert.equal((await server.login(dave.email)).status, 200);
+
+    const renamed = await server.api('PUT', '/auth/profile', { body: { name: 'Dave', email: dave.email }, token: dave.token });
+    assert.equal(renamed.status, 200);
+    const changed = await server.api('PUT', '/auth/profile', {
+        body: { name: 'Dave', email: dave.email, password: '12345678' },
+        token: dave.token
+    });
+    assert.equal(changed.status, 200);
+    assert.equal((await server.login(dave.email, '12345678')).status, 200);
+});
+
+test('requesting a new link invalidates the previous one', async () => {
+    const carol = await server.register('carol');
+    const first = await requestReset(carol.email);
+    const second = await requestReset(carol.email);
+    assert.notEqual(first, second);
+
+    const stale = await server.api('POST', '/auth/reset-password', { body: { token: first, password: 'a-brand-new-password' } });
+    assert.equal(stale.status, 400);
+    const fresh = await server.api('POST', '/auth/reset-password', { body: { token: second, password: 'a-brand-new-password' } });
+    assert.equal(fresh.status, 200);
+});
+
+test("production doesn't log email bodies unless a transport is configured", () => {
+    const env = { ...process.env, NODE_ENV: 'production' };
+    delete env.MAIL_TRANSPORT;
+    delete env.SMTP_HOST;
+
+    const output = execFileSync(process.execPath, ['-e', 'require("./mailer")'], {
+        cwd: path.join(__dirname, '..'),
+        env,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    assert.match(output, /Mail transport: none/);
+});
@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePatterns, validatePatterns } = require('../patterns');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+// A completion grid with the given "row,col" cells done
+function completedCells(size, cells) {
+    return Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, col) => cells.includes(`${row},${col}`)));
+}
+
+const achievedIds = (completed, size, patterns) => evaluatePatterns(completed, size, patterns).map(entry => entry.pattern);
+
+test('built-in patterns match their shapes', () => {
+    const corners = completedCells(5, ['0,0', '0,4', '4,0', '4,4']);
+    assert.deepEqual(achievedIds(corners, 5, ['four-corners', 'x', 'row']), ['four-corners']);
+
+    const cross = completedCells(3, ['0,0', '1,1', '2,2', '0,2', '2,0']);
+    assert.deepEqual(achievedIds(cross, 3, ['x', 'diagonal', 'plus']), ['x', 'diagonal', 'diagonal']);
+
+    // Even sizes have two middle rows and columns
+    const plus = completedCells(4, ['1,0', '1,1', '1,2', '1,3', '2,0', '2,1', '2,2', '2,3', '0,1', '0,2', '3,1', '3,2']);
+    assert.deepEqual(achievedIds(plus, 4, ['plus', 'outer-frame']), ['plus']);
+
+    const all = completedCells(3, ['0,0', '0,1', '0,2', '1,0', '1,1', '1,2', '2,0', '2,1', '2,2']);
+    assert.deepEqual(achievedIds(all, 3, ['outer-frame', 'blackout']), ['outer-frame', 'blackout']);
+});
+
+test('custom masks count on cards of their size, achieved when their last tile was', () => {
+    const mask = [[1, 0, 0], [0, 1, 0], [0, 0, 0]];
+    const completed = completedCells(3, []);
+    completed[0][0] = { completedAt: '2025-01-01T00:00:00.000Z' };
+    completed[1][1] = { completedAt: '2025-02-01T00:00:00.000Z' };
+
+    assert.deepEqual(evaluatePatterns(completed, 3, [{ name: 'Steps', mask }]), [
+        { pattern: 'custom:Steps', index: 0, achievedAt: '2025-02-01T00:00:00.000Z' }
+    ]);
+    assert.deepEqual(evaluatePatterns(completedCells(4, ['0,0', '1,1']), 4, [{ name: 'Steps', mask }]), []);
+});
+
+test('pattern lists are validated', () => {
+    assert.deepEqual(validatePatterns(['row', { name: 'Dot', mask: [[1, 0, 0], [0, 0, 0], [0, 0, 0]] }], 3), []);
+    assert.deepEqual(validatePatterns([], 3).map(error => error.field), ['patterns']);
+    assert.deepEqual(validatePatterns(['zigzag', 'row', 'row', { name: '', mask: [[0]] }], 3).map(error => error.field),
+        ['patterns[0]', 'patterns[2]', 'patterns[3].name', 'patterns[3].mask']);
+    assert.deepEqual(validatePatterns([{ name: 'Small', mask: [[1]] }], 3).map(error => error.field), ['patterns[0].mask']);
+});
+
+test('cards choose their win patterns and report which were achieved', async () => {
+    const alice = await server.register('alice');
+    const card = makeCard(3);
+    card.completed = completedCells(3, ['0,0', '0,1', '0,2', '2,0', '2,2']);
+    const created = (await server.api('POST', '/cards/new', { body: card, token: alice.token })).body.card;
+    assert.deepEqual(created.winPatterns, ['row', 'column', 'diagonal']);
+
+    const updated = await server.api('PUT', `/v2/cards/${created.id}/patterns`, { body: { patterns: ['four-corners', 'blackout'] }, token: alice.token });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.stats.patternsAchieved.map(entry => entry.pattern), ['four-corners']);
+    assert.ok(updated.body.stats.patternsAchieved[0].achievedAt);
+
+    const invalid = await server.api('PUT', `/v2/cards/${created.id}/patterns`, { body: { patterns: ['zigzag'] }, token: alice.token });
+    assert.equal(invalid.status, 400);
+
+    const reset = await server.api('PUT', `/v2/cards/${created.id}/patterns`, { body: { patterns: null }, token: alice.token });
+    assert.deepEqual(reset.body.winPatterns, ['row', 'column', 'diagonal']);
+    assert.deepEqual(reset.body.stats.patternsAchieved.map(entry => entry.pattern), ['row']);
+
+    const bob = await server.register('bob');
+    assert.equal((await server.api('PUT', `/v2/cards/${created.id}/patterns`, { body: { patterns: ['x'] }, token: bob.token })).status, 404);
+});
+
+test("a group challenge's patterns override members' card patterns on the leaderboard", async () => {
+    const carol = await server.register('carol');
+    const card = makeCard(3);
+    card.completed = completedCells(3, ['0,0', '0,2', '2,0', '2,2']);
+    await server.api('POST', '/cards/new', { body: card, token: carol.token });
+    const group = (await server.api('POST', '/groups', { body: { name: 'Corner club' }, token: carol.token })).body.group;
+
+    const ownPatterns = (await server.api('GET', `/groups/${group.id}/members`, { token: carol.token })).body.members[0];
+    assert.equal(ownPatterns.bingoCount, 0);
+
+    const set = await server.api('PUT', `/groups/${group.id}/patterns`, { body: { patterns: ['four-corners'] }, token: carol.token });
+    assert.equal(set.status, 200);
+    const challenge = (await server.api('GET', `/groups/${group.id}/members`, { token: carol.token })).body.members[0];
+    assert.equal(challenge.bingoCount, 1);
+    assert.deepEqual(challenge.patternsAchieved.map(entry => entry.pattern), ['four-corners']);
+});
@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+// A card whose top-left tile counts towards reading 3 books
+async function createCounterCard(user) {
+    const card = makeCard(3, (row, col) => (row === 0 && col === 0
+        ? { text: 'Read books', target: 3, unit: 'books' }
+        : { text: `Task ${row}-${col}` }));
+    const response = await server.api('POST', '/cards/new', { body: card, token: user.token });
+    assert.equal(response.status, 201);
+    return response.body.card;
+}
+
+function logProgress(user, amount) {
+    return server.api('POST', '/cards/me/tiles/0/0/progress', { body: { amount, note: ' chapter ' }, token: user.token });
+}
+
+async function getProgress(user, card) {
+    const response = await server.api('GET', `/v2/cards/${card.id}/tiles/0/0/progress`, { token: user.token });
+    assert.equal(response.status, 200);
+    return response.body;
+}
+
+test('progress completes the tile at its target and deleting an entry reopens it', async () => {
+    const alice = await server.register('alice');
+    const card = await createCounterCard(alice);
+
+    const first = await logProgress(alice, 2);
+    assert.equal(first.status, 201);
+    assert.deepEqual([first.body.total, first.body.target, first.body.completed], [2, 3, false]);
+    assert.equal(first.body.entry.note, 'chapter');
+
+    const second = await logProgress(alice, 1);
+    assert.equal(second.status, 201);
+    assert.deepEqual([second.body.total, second.body.completed], [3, true]);
+    assert.ok((await server.api('GET', '/cards/me', { token: alice.token })).body.card.completed[0][0]);
+
+    const deleted = await server.api('DELETE', `/cards/me/tiles/0/0/progress/${second.body.entry.id}`, { token: alice.token });
+    assert.equal(deleted.status, 200);
+    assert.deepEqual([deleted.body.total, deleted.body.completed], [2, false]);
+    assert.equal((await server.api('GET', '/cards/me', { token: alice.token })).body.card.completed[0][0], false);
+    assert.equal((await getProgress(alice, card)).entries.length, 1);
+});
+
+test('progress is only logged on counter tiles with a valid amount', async () => {
+    const bob = await server.register('bob');
+    await createCounterCard(bob);
+
+    assert.equal((await logProgress(bob, 0)).status, 400);
+    assert.equal((await logProgress(bob, 'two')).status, 400);
+    const plainTile = await server.api('POST', '/cards/me/tiles/1/1/progress', { body: { amount: 1 }, token: bob.token });
+    assert.equal(plainTile.status, 400);
+});
+
+test('a conflict rolls the new entry back so a retry counts it once', async () => {
+    const carol = await server.register('carol');
+    const card = await createCounterCard(carol);
+    await logProgress(carol, 2);
+
+    const release = server.holdCard(card.id);
+    const conflict = await logProgress(carol, 1);
+    release();
+
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.body.card.id, card.id);
+    assert.equal((await getProgress(carol, card)).total, 2);
+
+    const retried = await logProgress(carol, 1);
+    assert.equal(retried.status, 201);
+    assert.deepEqual([retried.body.total, retried.body.completed], [3, true]);
+});
+
+test('a conflict keeps a deleted entry in place', async () => {
+    const dave = await server.register('dave');
+    const card = await createCounterCard(dave);
+    const logged = await logProgress(dave, 3);
+    assert.equal(logged.body.completed, true);
+
+    const release = server.holdCard(card.id);
+    const conflict = await server.api('DELETE', `/cards/me/tiles/0/0/progress/${logged.body.entry.id}`, { token: dave.token });
+    release();
+
+    assert.equal(conflict.status, 409);
+    assert.equal((await getProgress(dave, card)).total, 3);
+    assert.ok((await server.api('GET', '/cards/me', { token: dave.token })).body.card.completed[0][0]);
+});
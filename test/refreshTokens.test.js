@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('login issues a short-lived access token and a refresh token', async () => {
+    const alice = await server.register('alice');
+
+    const login = await server.login(alice.email);
+
+    assert.equal(login.status, 200);
+    assert.ok(login.body.refreshToken);
+    assert.ok(login.body.expiresIn > 0 && login.body.expiresIn <= 15 * 60);
+    assert.ok(jwt.decode(login.body.token).sid);
+    assert.equal((await server.api('GET', '/auth/me', { token: login.body.token })).status, 200);
+});
+
+test('refreshing rotates the refresh token', async () => {
+    const bob = await server.register('bob');
+
+    const refreshed = await server.api('POST', '/auth/refresh', { body: { refreshToken: bob.refreshToken } });
+
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, bob.refreshToken);
+    assert.equal(jwt.decode(refreshed.body.token).sid, jwt.decode(bob.token).sid, 'same session');
+    assert.equal((await server.api('GET', '/auth/me', { token: refreshed.body.token })).status, 200);
+});
+
+test('reusing a refresh token revokes the whole session', async () => {
+    const carol = await server.register('carol');
+    const refreshed = await server.api('POST', '/auth/refresh', { body: { refreshToken: carol.refreshToken } });
+
+    const reused = await server.api('POST', '/auth/refresh', { body: { refreshToken: carol.refreshToken } });
+
+    assert.equal(reused.status, 401);
+    assert.equal((await server.api('POST', '/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } })).status, 401);
+    assert.equal((await server.api('GET', '/auth/me', { token: refreshed.body.token })).status, 403);
+});
+
+test('logging out stops the access token and refresh token working', async () => {
+    const dave = await server.register('dave');
+
+    const logout = await server.api('POST', '/auth/logout', { body: { refreshToken: dave.refreshToken } });
+
+    assert.equal(logout.status, 200);
+    assert.equal((await server.api('GET', '/auth/me', { token: dave.token })).status, 403);
+    assert.equal((await server.api('POST', '/auth/refresh', { body: { refreshToken: dave.refreshToken } })).status, 401);
+});
+
+test('access tokens without a session are rejected', async () => {
+    const erin = await server.register('erin');
+    const legacyToken = jwt.sign({ userId: erin.id, email: erin.email }, JWT_SECRET, { expiresIn: '30d' });
+
+    const response = await server.api('GET', '/auth/me', { token: legacyToken });
+
+    assert.equal(response.status, 403);
+});
+
+test('admin routes reject tokens from a revoked session', async () => {
+    const admin = await server.register('admin');
+    const db = server.openDatabase();
+    db.prepare('UPDATE users SET is_admin = 1 WHERE id = ?').run(admin.id);
+    db.close();
+    assert.equal((await server.api('GET', '/admin/analytics', { token: admin.token })).status, 200);
+
+    await server.api('POST', '/auth/logout', { body: { refreshToken: admin.refreshToken } });
+
+    assert.equal((await server.api('GET', '/admin/analytics', { token: admin.token })).status, 403);
+});
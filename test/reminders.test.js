@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+// Reminder checks every 0.6 seconds
+const REMINDER_INTERVAL_MS = 600;
+
+let server;
+
+before(async () => {
+    server = await startServer({ REMINDER_INTERVAL_MINUTES: String(REMINDER_INTERVAL_MS / 60000) });
+});
+
+after(() => server.stop());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = days => new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+
+// Tiles due yesterday (open and done), in two days and in ten days
+function cardWithDueDates() {
+    const card = makeCard(3);
+    card.grid[0][0] = { text: 'File taxes', dueDate: inDays(-1) };
+    card.grid[0][1] = { text: 'Renew passport', dueDate: inDays(-1) };
+    card.grid[1][1] = { text: 'Book flights', dueDate: inDays(2) };
+    card.grid[2][2] = { text: 'Plant tomatoes', dueDate: inDays(10) };
+    card.completed[0][1] = true;
+    return card;
+}
+
+async function waitForNotifications(user, count) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const { notifications } = (await server.api('GET', '/notifications', { token: user.token })).body;
+        if (notifications.length >= count) return notifications;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Expected ${count} notifications`);
+}
+
+test('the card lists overdue and upcoming open tiles', async () => {
+    const alice = await server.register('alice');
+    await server.api('POST', '/cards/new', { body: cardWithDueDates(), token: alice.token });
+
+    const { deadlines } = (await server.api('GET', '/cards/me', { token: alice.token })).body;
+    assert.deepEqual(deadlines.overdue.map(tile => [tile.text, tile.daysLeft]), [['File taxes', -1]]);
+    assert.deepEqual(deadlines.upcoming.map(tile => [tile.text, tile.daysLeft]), [['Book flights', 2]]);
+
+    const longer = (await server.api('GET', '/cards/me?days=30', { token: alice.token })).body.deadlines;
+    assert.deepEqual(longer.upcoming.map(tile => tile.text), ['Book flights', 'Plant tomatoes']);
+    assert.equal((await server.api('GET', '/cards/me?days=-1', { token: alice.token })).status, 400);
+});
+
+test('the scheduler notifies and emails each reminder once', async () => {
+    const bob = await server.register('bob');
+    await server.api('POST', '/cards/new', { body: cardWithDueDates(), token: bob.token });
+
+    const notifications = await waitForNotifications(bob, 2);
+    assert.deepEqual(notifications.map(notification => notification.title).sort(), ['Due in 2 days: Book flights', 'Overdue: File taxes']);
+    assert.equal(notifications.find(notification => notification.type === 'tile-overdue').data.row, 0);
+
+    await server.waitForMail(bob.email, /Overdue: File taxes/);
+    await server.waitForMail(bob.email, /Due in 2 days: Book flights/);
+
+    // Later checks find the same tiles again but don't repeat themselves
+    await new Promise(resolve => setTimeout(resolve, REMINDER_INTERVAL_MS * 2));
+    const { notifications: later } = (await server.api('GET', '/notifications', { token: bob.token })).body;
+    assert.equal(later.length, 2);
+    assert.equal(server.readMail().filter(message => message.to.includes(bob.email) && /Book flights/.test(message.subject)).length, 1);
+});
+
+test('reminder emails can be turned off', async () => {
+    const carol = await server.register('carol');
+    const off = await server.api('PUT', '/notifications/preferences', { body: { reminderEmails: false }, token: carol.token });
+    assert.equal(off.status, 200);
+    assert.deepEqual((await server.api('GET', '/notifications/preferences', { token: carol.token })).body, { reminderEmails: false });
+    await server.api('POST', '/cards/new', { body: cardWithDueDates(), token: carol.token });
+
+    await waitForNotifications(carol, 2);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.ok(!server.readMail().some(message => message.to.includes(carol.email) && /Overdue|Due in/.test(message.subject)));
+});
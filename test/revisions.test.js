@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+// Create a card and return it as the API formats it
+async function createCard(user, card = makeCard(3)) {
+    const response = await server.api('POST', '/cards/new', { body: card, token: user.token });
+    assert.equal(response.status, 201);
+    return response.body.card;
+}
+
+async function saveCard(user, card, changes) {
+    return server.api('PUT', `/v2/cards/${card.id}`, {
+        body: { ...makeCard(card.size), ...changes },
+        headers: { 'If-Match': `"${card.id}-${card.version}"` },
+        token: user.token
+    });
+}
+
+async function listRevisions(user, query = '') {
+    const response = await server.api('GET', `/cards/me/revisions${query}`, { token: user.token });
+    assert.equal(response.status, 200);
+    return response.body.revisions;
+}
+
+test('every save is recorded as a revision, newest first', async () => {
+    const alice = await server.register('alice');
+    const card = await createCard(alice);
+    const completed = makeCard(3).completed;
+    completed[0] = [true, true, true];
+
+    assert.equal((await saveCard(alice, card, { completed })).status, 200);
+
+    const revisions = await listRevisions(alice);
+    assert.deepEqual(revisions.map(revision => revision.reason), ['save', 'create']);
+    assert.deepEqual(revisions.map(revision => [revision.tilesCompleted, revision.bingosAchieved]), [[3, 1], [0, 0]]);
+});
+
+test('the limit is clamped to at least one revision', async () => {
+    const bob = await server.register('bob');
+    let card = await createCard(bob);
+    for (let i = 0; i < 2; i++) {
+        const saved = await saveCard(bob, card, { title: `Save ${i}` });
+        card = { ...card, version: saved.body.version };
+    }
+
+    assert.equal((await listRevisions(bob)).length, 3);
+    assert.equal((await listRevisions(bob, '?limit=1')).length, 1);
+    assert.equal((await listRevisions(bob, '?limit=-1')).length, 1);
+});
+
+test('old revisions keep their own stats after later check-ins', async () => {
+    const carol = await server.register('carol');
+    await createCard(carol, makeCard(3, (row, col) => (row === 0 && col === 0
+        ? { text: 'Stretch', habit: { frequency: 'daily', timesPerPeriod: 1, goalPeriods: 1 } }
+        : { text: `Task ${row}-${col}` })));
+
+    const checkin = await server.api('POST', '/cards/me/tiles/0/0/checkins', { body: {}, token: carol.token });
+    assert.equal(checkin.status, 201);
+    assert.equal(checkin.body.completed, true);
+
+    const revisions = await listRevisions(carol);
+    assert.deepEqual(revisions.map(revision => [revision.reason, revision.tilesCompleted]), [['progress', 1], ['create', 0]]);
+});
+
+test('restoring a revision rolls the card back and is recorded itself', async () => {
+    const dave = await server.register('dave');
+    const card = await createCard(dave, makeCard(3, () => ({ text: 'Original' })));
+    const saved = await saveCard(dave, card, { grid: makeCard(3, () => ({ text: 'Changed' })).grid });
+    const [, created] = await listRevisions(dave);
+
+    const diff = await server.api('GET', `/cards/me/revisions/diff?from=${created.id}`, { token: dave.token });
+    assert.equal(diff.status, 200);
+
+    const stale = await server.api('POST', `/cards/me/revisions/${created.id}/restore`, {
+        headers: { 'If-Match': `"${card.id}-${card.version}"` },
+        token: dave.token
+    });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.card.grid[0][0].text, 'Changed');
+
+    const restored = await server.api('POST', `/cards/me/revisions/${created.id}/restore`, {
+        headers: { 'If-Match': `"${card.id}-${saved.body.version}"` },
+        token: dave.token
+    });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.card.grid[0][0].text, 'Original');
+    assert.equal(restored.body.card.version, saved.body.version + 1);
+    assert.equal((await listRevisions(dave))[0].reason, 'restore');
+});
+
+test("other users' revisions can't be read or restored", async () => {
+    const erin = await server.register('erin');
+    const mallory = await server.register('mallory');
+    await createCard(erin);
+    const [revision] = await listRevisions(erin);
+
+    assert.equal((await server.api('GET', `/cards/me/revisions/${revision.id}`, { token: mallory.token })).status, 404);
+    assert.equal((await server.api('POST', `/cards/me/revisions/${revision.id}/restore`, { token: mallory.token })).status, 404);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let carol;
+let groupId;
+
+// Alice completes a row of 1-point tiles (3 + a 5-point row bonus = 8); Bob completes a single
+// 10-point tile. Alice is further along, but Bob has the higher score.
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    carol = await server.register('carol');
+
+    const aliceCard = makeCard(3);
+    aliceCard.completed[0] = [true, true, true];
+    await server.api('POST', '/cards/new', { body: aliceCard, token: alice.token });
+
+    const bobCard = makeCard(3, (row, col) => (row === 1 && col === 1 ? { text: 'Run a marathon', points: 10 } : { text: `Task ${row}-${col}` }));
+    bobCard.completed[1][1] = true;
+    await server.api('POST', '/cards/new', { body: bobCard, token: bob.token });
+
+    await server.befriend(carol, alice);
+    await server.befriend(carol, bob);
+
+    groupId = (await server.api('POST', '/groups', { body: { name: 'Runners' }, token: carol.token })).body.group.id;
+    for (const member of [alice, bob]) {
+        await server.api('POST', `/groups/${groupId}/invite`, { body: { friendId: member.id }, token: carol.token });
+        const [invitation] = (await server.api('GET', '/groups/invitations/pending', { token: member.token })).body.invitations;
+        await server.api('POST', `/groups/invitations/${invitation.id}/accept`, { token: member.token });
+    }
+});
+
+after(() => server.stop());
+
+test('scores add tile points and pattern bonuses', async () => {
+    const friends = (await server.api('GET', '/friends', { token: carol.token })).body.friends;
+
+    assert.deepEqual(friends.map(friend => [friend.friend_name, friend.score, friend.bingosAchieved]), [['alice', 8, 1], ['bob', 10, 0]]);
+});
+
+test('friends can be sorted by score', async () => {
+    const friends = (await server.api('GET', '/friends?sort=score', { token: carol.token })).body.friends;
+
+    assert.deepEqual(friends.map(friend => friend.friend_name), ['bob', 'alice']);
+});
+
+test('group leaderboards sort by completion unless asked for score', async () => {
+    const byCompletion = (await server.api('GET', `/groups/${groupId}/members`, { token: carol.token })).body.members;
+    assert.deepEqual(byCompletion.map(member => [member.name, member.completionPercentage]), [['alice', 33], ['bob', 11], ['carol', 0]]);
+
+    const byScore = (await server.api('GET', `/groups/${groupId}/members?sort=score`, { token: carol.token })).body.members;
+    assert.deepEqual(byScore.map(member => [member.name, member.score]), [['bob', 10], ['alice', 8], ['carol', 0]]);
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+// Log in from a described device; returns the login body
+async function loginFrom(email, userAgent) {
+    const response = await server.api('POST', '/auth/login', {
+        body: { email, password: PASSWORD },
+        headers: { 'User-Agent': userAgent }
+    });
+    assert.equal(response.status, 200);
+    return response.body;
+}
+
+const FIREFOX_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0';
+
+test('sessions are listed with the current one marked', async () => {
+    const alice = await server.register('alice');
+    await loginFrom(alice.email, FIREFOX_ON_WINDOWS);
+
+    const response = await server.api('GET', '/auth/sessions', { token: alice.token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.sessions.length, 2);
+    assert.equal(response.body.sessions.filter(session => session.current).length, 1);
+    assert.ok(response.body.sessions.some(session => session.device === 'Firefox on Windows'));
+});
+
+test('revoking a session logs that device out', async () => {
+    const bob = await server.register('bob');
+    const laptop = await loginFrom(bob.email, FIREFOX_ON_WINDOWS);
+    const sessions = await server.api('GET', '/auth/sessions', { token: bob.token });
+    const laptopSession = sessions.body.sessions.find(session => !session.current);
+
+    const revoked = await server.api('DELETE', `/auth/sessions/${laptopSession.id}`, { token: bob.token });
+
+    assert.equal(revoked.status, 200);
+    assert.equal((await server.api('GET', '/auth/me', { token: laptop.token })).status, 403);
+    assert.equal((await server.api('POST', '/auth/refresh', { body: { refreshToken: laptop.refreshToken } })).status, 401);
+    assert.equal((await server.api('GET', '/auth/me', { token: bob.token })).status, 200);
+});
+
+test("other users' sessions can't be revoked", async () => {
+    const carol = await server.register('carol');
+    const mallory = await server.register('mallory');
+    const sessions = await server.api('GET', '/auth/sessions', { token: carol.token });
+
+    const response = await server.api('DELETE', `/auth/sessions/${sessions.body.sessions[0].id}`, { token: mallory.token });
+
+    assert.equal(response.status, 404);
+    assert.equal((await server.api('GET', '/auth/me', { token: carol.token })).status, 200);
+});
+
+test('logging out everywhere can keep the current session', async () => {
+    const dave = await server.register('dave');
+    const phone = await loginFrom(dave.email, FIREFOX_ON_WINDOWS);
+
+    const response = await server.api('DELETE', '/auth/sessions?keepCurrent=true', { token: dave.token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.revoked, 1);
+    assert.equal((await server.api('GET', '/auth/me', { token: phone.token })).status, 403);
+    assert.equal((await server.api('GET', '/auth/me', { token: dave.token })).status, 200);
+});
+
+test('logging out everywhere ends every session by default', async () => {
+    const erin = await server.register('erin');
+    const phone = await loginFrom(erin.email, FIREFOX_ON_WINDOWS);
+
+    const response = await server.api('DELETE', '/auth/sessions', { token: erin.token });
+
+    assert.equal(response.body.revoked, 2);
+    assert.equal((await server.api('GET', '/auth/me', { token: phone.token })).status, 403);
+    assert.equal((await server.api('GET', '/auth/me', { token: erin.token })).status, 403);
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let card;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    await server.befriend(bob, alice);
+
+    const layout = makeCard(3);
+    layout.completed[0] = [true, true, true];
+    card = (await server.api('POST', '/cards/new', { body: { ...layout, title: 'Shared year' }, token: alice.token })).body.card;
+
+    await server.api('POST', '/comments', { body: { cardId: card.id, row: 0, col: 0, text: 'Nice one!' }, token: bob.token });
+    await server.api('POST', '/comments', { body: { cardId: card.id, row: 0, col: 1, text: 'Just between us', isPrivate: true }, token: bob.token });
+});
+
+after(() => server.stop());
+
+async function createLink(body = {}) {
+    const response = await server.api('POST', `/v2/cards/${card.id}/share-links`, { body, token: alice.token });
+    assert.equal(response.status, 201);
+    return response.body.link;
+}
+
+const sharedPath = link => new URL(link.url).pathname.replace(/^\/api/, '');
+
+test('anyone with the link sees a read-only card without private comments', async () => {
+    const link = await createLink();
+
+    const shared = await server.api('GET', sharedPath(link));
+
+    assert.equal(shared.status, 200);
+    assert.equal(shared.body.card.title, 'Shared year');
+    assert.equal(shared.body.card.isPrimary, undefined);
+    assert.deepEqual(shared.body.owner, { name: 'alice' });
+    assert.equal(shared.body.stats.bingosAchieved, 1);
+    assert.deepEqual(shared.body.comments.map(comment => comment.text), ['Nice one!']);
+    assert.equal(shared.body.expiresAt, null);
+    assert.equal((await server.api('GET', '/shared/not-a-real-token')).status, 404);
+});
+
+test('links can be listed and revoked by their owner', async () => {
+    const link = await createLink();
+
+    const { links } = (await server.api('GET', `/share-links?cardId=${card.id}`, { token: alice.token })).body;
+    assert.ok(links.some(found => found.id === link.id && found.cardTitle === 'Shared year'));
+    assert.deepEqual((await server.api('GET', '/share-links', { token: bob.token })).body.links, []);
+
+    assert.equal((await server.api('DELETE', `/share-links/${link.id}`, { token: bob.token })).status, 404);
+    assert.equal((await server.api('DELETE', `/share-links/${link.id}`, { token: alice.token })).status, 200);
+    assert.equal((await server.api('GET', sharedPath(link))).status, 404);
+    const remaining = (await server.api('GET', '/share-links', { token: alice.token })).body.links;
+    assert.ok(!remaining.some(found => found.id === link.id));
+});
+
+test('expiring links stop working and drop off the list', async () => {
+    const link = await createLink({ expiresInDays: 7 });
+    assert.ok(new Date(link.expiresAt) > new Date());
+    assert.equal((await server.api('GET', sharedPath(link))).status, 200);
+
+    const db = server.openDatabase();
+    db.prepare("UPDATE card_share_links SET expires_at = '2000-01-01T00:00:00.000Z' WHERE id = ?").run(link.id);
+    db.close();
+
+    assert.equal((await server.api('GET', sharedPath(link))).status, 410);
+    const { links } = (await server.api('GET', '/share-links', { token: alice.token })).body;
+    assert.ok(!links.some(found => found.id === link.id));
+});
+
+test('only owners can share a card, for up to a year', async () => {
+    assert.equal((await server.api('POST', `/v2/cards/${card.id}/share-links`, { body: {}, token: bob.token })).status, 404);
+    for (const expiresInDays of [0, -1, 366, '7']) {
+        const response = await server.api('POST', `/v2/cards/${card.id}/share-links`, { body: { expiresInDays }, token: alice.token });
+        assert.equal(response.status, 400, `expiresInDays ${JSON.stringify(expiresInDays)}`);
+    }
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let stranger;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    stranger = await server.register('stranger');
+    await server.befriend(bob, alice);
+});
+
+after(() => server.stop());
+
+async function publish(user, fields) {
+    const { size, grid } = makeCard(3, (row, col) => ({ text: `Goal ${row}-${col}`, points: 2, notes: 'private' }));
+    const response = await server.api('POST', '/templates', { body: { size, grid, ...fields }, token: user.token });
+    assert.equal(response.status, 201);
+    return response.body.template;
+}
+
+async function search(user, query = '') {
+    const response = await server.api('GET', `/templates${query}`, { token: user.token });
+    assert.equal(response.status, 200);
+    return response.body.templates;
+}
+
+test('templates keep the layout only and follow their visibility', async () => {
+    const shared = await publish(alice, { title: 'Reading year' });
+    const friendsOnly = await publish(alice, { title: 'Friends only', visibility: 'friends' });
+
+    const template = await server.api('GET', `/templates/${shared.id}`, { token: stranger.token });
+    assert.equal(template.status, 200);
+    assert.deepEqual(template.body.template.grid[0][0], { text: 'Goal 0-0', points: 2 });
+
+    assert.ok((await search(bob)).some(found => found.id === friendsOnly.id));
+    assert.ok(!(await search(stranger)).some(found => found.id === friendsOnly.id));
+    assert.equal((await server.api('GET', `/templates/${friendsOnly.id}`, { token: stranger.token })).status, 404);
+});
+
+test('search filters by text and size and clamps the limit', async () => {
+    await publish(bob, { title: 'Fitness goals', description: 'Run, lift, stretch' });
+
+    assert.deepEqual((await search(stranger, '?q=stretch')).map(found => found.title), ['Fitness goals']);
+    assert.deepEqual(await search(stranger, '?size=5'), []);
+    assert.equal((await search(stranger, '?limit=1')).length, 1);
+    assert.equal((await search(stranger, '?limit=-1')).length, 1);
+    assert.equal((await search(stranger, '?limit=abc')).length, 2);
+});
+
+test('cards made from a template count as uses', async () => {
+    const template = await publish(alice, { title: 'Shuffled' });
+
+    const created = await server.api('POST', `/cards/from-template/${template.id}`, {
+        body: { shuffle: true, seed: 7 },
+        token: bob.token
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.card.title, 'Shuffled');
+    const texts = created.body.card.grid.flat().map(cell => cell.text).sort();
+    assert.deepEqual(texts, makeCard(3, (row, col) => ({ text: `Goal ${row}-${col}` })).grid.flat().map(cell => cell.text).sort());
+
+    const [mostUsed] = await search(bob);
+    assert.equal(mostUsed.id, template.id);
+    assert.equal(mostUsed.use_count, 1);
+
+    assert.equal((await server.api('DELETE', `/templates/${template.id}`, { token: bob.token })).status, 404);
+    assert.equal((await server.api('DELETE', `/templates/${template.id}`, { token: alice.token })).status, 200);
+});
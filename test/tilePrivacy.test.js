@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let cardId;
+
+// Alice's card: (0,0) private with points, (0,1) hidden, the rest visible; all three completed
+before(async () => {
+    server = await startServer();
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    await server.befriend(bob, alice);
+
+    const card = makeCard(3, (row, col) => {
+        if (row === 0 && col === 0) return { text: 'Therapy', points: 5, visibility: 'private' };
+        if (row === 0 && col === 1) return { text: 'Surprise party', target: 3, visibility: 'hidden' };
+        return { text: `Task ${row}-${col}` };
+    });
+    [[0, 0], [0, 1], [0, 2]].forEach(([row, col]) => { card.completed[row][col] = true; });
+    const created = await server.api('POST', '/cards/new', { body: card, token: alice.token });
+    assert.equal(created.status, 201);
+    cardId = created.body.card.id;
+
+    await server.api('POST', '/comments', { body: { cardOwnerId: alice.id, row: 2, col: 2, text: 'Visible comment' }, token: alice.token });
+    await server.api('POST', '/comments', { body: { cardOwnerId: alice.id, row: 0, col: 1, text: 'About the party' }, token: alice.token });
+});
+
+after(() => server.stop());
+
+function assertRedacted(card) {
+    assert.deepEqual(card.grid[0][0], { text: 'Private tile', visibility: 'private', redacted: true, points: 5 });
+    assert.deepEqual(card.grid[0][1], { text: 'Private tile', visibility: 'hidden', redacted: true });
+    assert.ok(card.completed[0][0], 'private tiles still show their completion');
+    assert.equal(card.completed[0][1], false, 'hidden tiles never show as completed');
+    assert.ok(card.completed[0][2]);
+    assert.equal(card.grid[1][1].text, 'Task 1-1');
+    assert.ok(!card.tileProgress.some(progress => progress.row === 0 && progress.col === 1), 'no progress for hidden counter tiles');
+}
+
+test('the owner sees every tile', async () => {
+    const response = await server.api('GET', `/v2/cards/${cardId}`, { token: alice.token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.card.grid[0][0].text, 'Therapy');
+    assert.equal(response.body.card.grid[0][1].text, 'Surprise party');
+    assert.ok(response.body.card.completed[0][1]);
+    assert.ok(response.body.card.tileProgress.some(progress => progress.row === 0 && progress.col === 1));
+});
+
+test('friends get private and hidden tiles redacted', async () => {
+    const response = await server.api('GET', `/v2/cards/${cardId}`, { token: bob.token });
+
+    assert.equal(response.status, 200);
+    assertRedacted(response.body.card);
+});
+
+test('the legacy card-by-user route redacts too', async () => {
+    const response = await server.api('GET', `/cards/${alice.id}`, { token: bob.token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('deprecation'), 'true');
+    assertRedacted(response.body.card);
+});
+
+test('share links redact tiles and their comments', async () => {
+    const link = await server.api('POST', `/v2/cards/${cardId}/share-links`, { body: {}, token: alice.token });
+    const token = link.body.link.url.split('/').pop();
+
+    const response = await server.api('GET', `/shared/${token}`);
+
+    assert.equal(response.status, 200);
+    assertRedacted(response.body.card);
+    assert.deepEqual(response.body.comments.map(comment => comment.text), ['Visible comment']);
+});
+
+test('comments on private and hidden tiles are kept from friends', async () => {
+    const tile = await server.api('GET', `/comments/${alice.id}/0/1`, { token: bob.token });
+    assert.equal(tile.status, 403);
+
+    const all = await server.api('GET', `/comments/${alice.id}`, { token: bob.token });
+    assert.deepEqual(all.body.comments.map(comment => comment.text), ['Visible comment']);
+
+    const post = await server.api('POST', '/comments', { body: { cardOwnerId: alice.id, row: 0, col: 0, text: 'Hmm?' }, token: bob.token });
+    assert.equal(post.status, 403);
+
+    const own = await server.api('GET', `/comments/${alice.id}`, { token: alice.token });
+    assert.deepEqual(own.body.comments.map(comment => comment.text).sort(), ['About the party', 'Visible comment']);
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+async function registerWithCard(name) {
+    const user = await server.register(name);
+    const response = await server.api('POST', '/cards/new', { body: makeCard(3), token: user.token });
+    assert.equal(response.status, 201);
+    return { ...user, card: response.body.card };
+}
+
+function patchTile(user, row, col, body) {
+    return server.api('PATCH', `/cards/me/tiles/${row}/${col}`, { body, token: user.token });
+}
+
+async function getSummary(user) {
+    return (await server.api('GET', '/cards', { token: user.token })).body.cards[0];
+}
+
+test('completing a tile records the completion time on the server', async () => {
+    const alice = await registerWithCard('alice');
+    const startedAt = new Date().toISOString();
+
+    const completed = await patchTile(alice, 1, 2, { completed: true });
+    assert.equal(completed.status, 200);
+    const { completedAt } = completed.body.tile.completed;
+    assert.ok(completedAt >= startedAt);
+    assert.equal(completed.body.version, alice.card.version + 1);
+
+    const again = await patchTile(alice, 1, 2, { completed: true });
+    assert.equal(again.body.tile.completed.completedAt, completedAt, 'completing again keeps the first time');
+
+    const summary = await getSummary(alice);
+    assert.equal(summary.tilesCompleted, 1);
+    assert.equal(summary.lastTileDate, completedAt);
+
+    const reopened = await patchTile(alice, 1, 2, { completed: false });
+    assert.equal(reopened.body.tile.completed, false);
+});
+
+test('clients cannot backdate completions through a whole-card save', async () => {
+    const bob = await registerWithCard('bob');
+    const card = makeCard(3);
+    card.completed[0][0] = { completedAt: '2001-01-01T00:00:00.000Z' };
+
+    const saved = await server.api('POST', '/cards', {
+        body: { ...card, version: bob.card.version },
+        token: bob.token
+    });
+    assert.equal(saved.status, 200);
+
+    const { lastTileDate } = await getSummary(bob);
+    assert.notEqual(lastTileDate, '2001-01-01T00:00:00.000Z');
+    assert.ok(new Date(lastTileDate).getFullYear() >= 2025);
+});
+
+test('tile text, type and metadata are edited in place', async () => {
+    const carol = await registerWithCard('carol');
+
+    const edited = await patchTile(carol, 0, 0, { text: '  Run a 10k  ', type: 'fitness', metadata: { distance: 10 } });
+    assert.equal(edited.status, 200);
+    assert.deepEqual(edited.body.tile, { row: 0, col: 0, text: 'Run a 10k', type: 'fitness', metadata: { distance: 10 }, completed: false });
+
+    const merged = await patchTile(carol, 0, 0, { metadata: { unit: 'km' } });
+    assert.deepEqual(merged.body.tile.metadata, { distance: 10, unit: 'km' });
+
+    const cleared = await patchTile(carol, 0, 0, { metadata: null });
+    assert.equal(cleared.body.tile.metadata, undefined);
+
+    const card = (await server.api('GET', '/cards/me', { token: carol.token })).body.card;
+    assert.equal(card.grid[0][0].text, 'Run a 10k');
+    assert.equal(card.grid[1][1].text, 'Task 1-1', 'other tiles are untouched');
+});
+
+test('bad tile edits are refused', async () => {
+    const dave = await registerWithCard('dave');
+
+    assert.equal((await patchTile(dave, 0, 0, {})).status, 400);
+    assert.equal((await patchTile(dave, 3, 0, { completed: true })).status, 400);
+    assert.equal((await patchTile(dave, 0, 0, { text: 'x'.repeat(201) })).status, 400);
+
+    const both = await patchTile(dave, 0, 0, { target: 5, habit: { frequency: 'daily', goalPeriods: 3 } });
+    assert.equal(both.status, 400);
+    assert.equal(both.body.details[0].field, 'grid[0][0].habit');
+
+    const stranger = await server.register('stranger');
+    assert.equal((await patchTile(stranger, 0, 0, { completed: true })).status, 404);
+});
@@ -0,0 +1,187 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateCode, verifyCode } = require('../totp');
+const { PASSWORD, startServer } = require('./helpers');
+
+// RFC 6238 test secret ("12345678901234567890"), base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+const currentCounter = () => Math.floor(Date.now() / 30000);
+
+// Register a user and turn 2FA on. Returns the user with its secret, the code that confirmed
+// setup and the recovery codes.
+async function registerWithTwoFactor(name) {
+    const user = await server.register(name);
+    const setup = await server.api('POST', '/auth/2fa/setup', { token: user.token });
+    const confirmCode = generateCode(setup.body.secret);
+    const confirm = await server.api('POST', '/auth/2fa/confirm', { body: { code: confirmCode }, token: user.token });
+    assert.equal(confirm.status, 200);
+    return { ...user, secret: setup.body.secret, confirmCode, recoveryCodes: confirm.body.recoveryCodes };
+}
+
+async function challengeFor(user) {
+    const login = await server.login(user.email);
+    assert.equal(login.body.twoFactorRequired, true);
+    return login.body.challengeToken;
+}
+
+test('codes match the RFC 6238 test vectors', () => {
+    assert.equal(generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(verifyCode(RFC_SECRET, '081804', { time: 1111111109 * 1000 }), Math.floor(1111111109 / 30));
+});
+
+test('verifyCode allows one step of drift and refuses used counters', () => {
+    const time = 1111111109 * 1000;
+    const counter = Math.floor(1111111109 / 30);
+
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 1), { time }), counter + 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 2), { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter), { time, lastCounter: counter }), null);
+    assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+});
+
+test('enabling 2FA logs out every other session', async () => {
+    const alice = await server.register('alice');
+    const otherDevice = await server.login(alice.email);
+    const setup = await server.api('POST', '/auth/2fa/setup', { token: alice.token });
+
+    const wrong = await server.api('POST', '/auth/2fa/confirm', { body: { code: '000000' }, token: alice.token });
+    assert.equal(wrong.status, 400);
+    const confirm = await server.api('POST', '/auth/2fa/confirm', { body: { code: generateCode(setup.body.secret) }, token: alice.token });
+    assert.equal(confirm.status, 200);
+    assert.equal(confirm.body.recoveryCodes.length, 10);
+
+    assert.equal((await server.api('GET', '/auth/me', { token: otherDevice.body.token })).status, 403);
+    assert.equal((await server.api('POST', '/auth/refresh', { body: { refreshToken: otherDevice.body.refreshToken } })).status, 401);
+    assert.equal((await server.api('GET', '/auth/me', { token: alice.token })).status, 200);
+});
+
+test('logging in needs a code after the password, and codes work once', async () => {
+    const bob = await registerWithTwoFactor('bob');
+    const challengeToken = await challengeFor(bob);
+
+    assert.equal((await server.api('GET', '/auth/me', { token: challengeToken })).status, 403, 'a challenge is not an access token');
+
+    // The code that confirmed setup has been used already
+    const replayed = await server.api('POST', '/auth/2fa/verify', { body: { challengeToken, code: bob.confirmCode } });
+    assert.equal(replayed.status, 401);
+
+    const verified = await server.api('POST', '/auth/2fa/verify', { body: { challengeToken, code: generateCode(bob.secret, currentCounter() + 1) } });
+    assert.equal(verified.status, 200);
+    assert.ok(verified.body.token);
+    assert.equal((await server.api('GET', '/auth/me', { token: verified.body.token })).status, 200);
+
+    const challengeReused = await server.api('POST', '/auth/2fa/verify', { body: { challengeToken, recoveryCode: bob.recoveryCodes[0] } });
+    assert.equal(challengeReused.status, 401);
+});
+
+test('recovery codes work once each', async () => {
+    const carol = await registerWithTwoFactor('carol');
+
+    const first = await server.api('POST', '/auth/2fa/verify', {
+        body: { challengeToken: await challengeFor(carol), recoveryCode: carol.recoveryCodes[0].toUpperCase() }
+    });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.recoveryCodesRemaining, 9);
+
+    const again = await server.api('POST', '/auth/2fa/verify', {
+        body: { challengeToken: await challengeFor(carol), recoveryCode: carol.recoveryCodes[0] }
+    });
+    assert.equal(again.status, 401);
+});
+
+test('wrong codes lock every 2FA endpoint for the account', async () => {
+    const dave = await registerWithTwoFactor('dave');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const wrong = await server.api('POST', '/auth/2fa/recovery-codes', { body: { code: '000000' }, token: dave.token });
+        assert.equal(wrong.status, 400);
+    }
+
+    const regenerate = await server.api('POST', '/auth/2fa/recovery-codes', {
+        body: { code: generateCode(dave.secret, currentCounter() + 1) },
+        token: dave.token
+    });
+    assert.equal(regenerate.status, 429);
+    const disable = await server.api('POST', '/auth/2fa/disable', {
+        body: { password: PASSWORD, recoveryCode: dave.recoveryCodes[0] },
+        token: dave.token
+    });
+    assert.equal(disable.status, 429);
+    const verify = await server.api('POST', '/auth/2fa/verify', {
+        body: { challengeToken: await challengeFor(dave), recoveryCode: dave.recoveryCodes[0] }
+    });
+    assert.equal(verify.status, 429);
+
+    // Once the lock runs out, a right code works again
+    const db = server.openDatabase();
+    db.prepare("UPDATE users SET totp_locked_until = '2000-01-01T00:00:00.000Z' WHERE id = ?").run(dave.id);
+    db.close();
+    const unlocked = await server.api('POST', '/auth/2fa/verify', {
+        body: { challengeToken: await challengeFor(dave), recoveryCode: dave.recoveryCodes[0] }
+    });
+    assert.equal(unlocked.status, 200);
+});
+
+test('wrong codes count across login challenges', async () => {
+    const erin = await registerWithTwoFactor('erin');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const wrong = await server.api('POST', '/auth/2fa/verify', { body: { challengeToken: await challengeFor(erin), code: '000000' } });
+        assert.equal(wrong.status, 401);
+    }
+
+    const locked = await server.api('POST', '/auth/2fa/verify', {
+        body: { challengeToken: await challengeFor(erin), recoveryCode: erin.recoveryCodes[0] }
+    });
+    assert.equal(locked.status, 429);
+});
+
+test('regenerating recovery codes replaces the old ones', async () => {
+    const frank = await registerWithTwoFactor('frank');
+
+    const regenerated = await server.api('POST', '/auth/2fa/recovery-codes', {
+        body: { code: generateCode(frank.secret, currentCounter() + 1) },
+        token: frank.token
+    });
+    assert.equal(regenerated.status, 200);
+
+    const old = await server.api('POST', '/auth/2fa/verify', {
+        body: { challengeToken: await challengeFor(frank), recoveryCode: frank.recoveryCodes[0] }
+    });
+    assert.equal(old.status, 401);
+    const fresh = await server.api('POST', '/auth/2fa/verify', {
+        body: { challengeToken: await challengeFor(frank), recoveryCode: regenerated.body.recoveryCodes[0] }
+    });
+    assert.equal(fresh.status, 200);
+});
+
+test('disabling 2FA needs the password and a code', async () => {
+    const grace = await registerWithTwoFactor('grace');
+
+    const wrongPassword = await server.api('POST', '/auth/2fa/disable', {
+        body: { password: 'not-the-password', recoveryCode: grace.recoveryCodes[0] },
+        token: grace.token
+    });
+    assert.equal(wrongPassword.status, 401);
+
+    const disabled = await server.api('POST', '/auth/2fa/disable', {
+        body: { password: PASSWORD, recoveryCode: grace.recoveryCodes[0] },
+        token: grace.token
+    });
+    assert.equal(disabled.status, 200);
+
+    const login = await server.login(grace.email);
+    assert.equal(login.status, 200);
+    assert.ok(login.body.token);
+    assert.equal(login.body.twoFactorRequired, undefined);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCard, validateTileFields } = require('../validation');
+const { startServer, makeCard } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+const fields = errors => errors.map(error => error.field);
+
+test('cards must have an allowed size and a matching grid and completion shape', () => {
+    assert.deepEqual(validateCard(makeCard(3)), []);
+    assert.deepEqual(fields(validateCard({ ...makeCard(3), size: 8 })), ['size']);
+
+    const shortRow = makeCard(4);
+    shortRow.grid[2].pop();
+    shortRow.completed = shortRow.completed.slice(1);
+    assert.deepEqual(fields(validateCard(shortRow)), ['grid[2]', 'completed']);
+
+    const badValues = makeCard(3);
+    badValues.completed[1][1] = 'yes';
+    badValues.grid[0][0] = 42;
+    assert.deepEqual(fields(validateCard({ ...badValues, title: 'x'.repeat(101), year: 1999 })), ['grid[0][0]', 'completed[1][1]', 'title', 'year']);
+});
+
+test('tile fields are checked one by one', () => {
+    assert.deepEqual(validateTileFields({ text: 'Run', type: 'fitness', points: 3, target: 10, unit: 'km', dueDate: '2025-06-01' }, 'tile'), []);
+    assert.deepEqual(fields(validateTileFields({
+        text: 'x'.repeat(201),
+        type: 'not a class name',
+        metadata: [],
+        points: 101,
+        target: -1,
+        dueDate: '01/06/2025',
+        visibility: 'secret'
+    }, 'tile')), ['tile.text', 'tile.type', 'tile.metadata', 'tile.points', 'tile.target', 'tile.dueDate', 'tile.visibility']);
+});
+
+test('saves answer with field-level errors and store nothing', async () => {
+    const alice = await server.register('alice');
+    const card = makeCard(3);
+    card.grid[1][2] = { text: 'Paint', type: '<script>' };
+
+    const refused = await server.api('POST', '/cards', { body: card, token: alice.token });
+
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.error, 'Invalid bingo card');
+    assert.deepEqual(refused.body.details, [{ field: 'grid[1][2].type', message: 'Tile type must be a short identifier (letters, numbers, - or _)' }]);
+    assert.equal((await server.api('GET', '/cards/me', { token: alice.token })).status, 404);
+});
+
+test('saving a new size replaces the grid shape', async () => {
+    const bob = await server.register('bob');
+    const created = await server.api('POST', '/cards', { body: makeCard(3), token: bob.token });
+    assert.equal(created.status, 200);
+
+    const resized = await server.api('POST', '/cards', { body: { ...makeCard(5), version: created.body.version }, token: bob.token });
+    assert.equal(resized.status, 200);
+
+    const card = (await server.api('GET', '/cards/me', { token: bob.token })).body.card;
+    assert.equal(card.size, 5);
+    assert.equal(card.grid.length, 5);
+});
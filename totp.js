@@ -0,0 +1,104 @@
+// ============= TOTP =============
+// Time-based one-time passwords (RFC 6238) for two-factor login: HMAC-SHA1, 6 digits, 30-second
+// steps, base32 secrets and otpauth:// URIs that authenticator apps read from a QR code.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept codes from one step either side to allow for clock drift
+const DRIFT_STEPS = 1;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// A new random secret, base32 encoded
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+function getCounter(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// The code for a secret at a given counter (time step)
+function generateCode(secret, counter = getCounter()) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Check a code against the current time. Returns the matching counter, or null. Callers store the
+// counter and pass it back as lastCounter so a code can't be used twice.
+function verifyCode(secret, code, { time = Date.now(), lastCounter = null } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const current = getCounter(time);
+    for (let counter = current - DRIFT_STEPS; counter <= current + DRIFT_STEPS; counter++) {
+        if (lastCounter !== null && counter <= lastCounter) continue;
+        const expected = generateCode(secret, counter);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return counter;
+        }
+    }
+    return null;
+}
+
+// The otpauth:// URI for enrolling the secret in an authenticator app
+function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri
+};
@@ -0,0 +1,194 @@
+// ============= CARD VALIDATION =============
+// Shape and content checks for bingo cards before they are stored.
+// Every validator returns a list of { field, message } errors (empty when valid),
+// so routes can answer with field-level 400 responses.
+
+const { validateHabit } = require('./habits');
+
+const ALLOWED_CARD_SIZES = [3, 4, 5, 6, 7];
+const MAX_TILE_TEXT_LENGTH = 200;
+const MAX_TITLE_LENGTH = 100;
+const MIN_CARD_YEAR = 2000;
+const MAX_CARD_YEAR = 2100;
+const MAX_TILE_POINTS = 100;
+const MAX_TILE_TARGET = 1000000;
+const MAX_UNIT_LENGTH = 20;
+
+// Cell types end up as CSS class names on the client, so keep them to simple identifiers
+const CELL_TYPE_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Who sees a tile's details: everyone who can see the card, or only the owner. "private" tiles
+// still show (and count) as completed for others; "hidden" tiles don't show completion either.
+const TILE_VISIBILITIES = ['visible', 'private', 'hidden'];
+
+// Validate a single grid cell ({ text, type, metadata } or a plain string on older cards)
+function validateCell(cell, field) {
+    const errors = [];
+
+    if (cell === null || cell === undefined) {
+        return errors;
+    }
+
+    if (typeof cell === 'string') {
+        if (cell.length > MAX_TILE_TEXT_LENGTH) {
+            errors.push({ field, message: `Tile text must be at most ${MAX_TILE_TEXT_LENGTH} characters` });
+        }
+        return errors;
+    }
+
+    if (typeof cell !== 'object' || Array.isArray(cell)) {
+        errors.push({ field, message: 'Tile must be an object with text' });
+        return errors;
+    }
+
+    errors.push(...validateTileFields(cell, field));
+    return errors;
+}
+
+// Validate the editable fields of a tile (shared by whole-card saves and tile PATCHes)
+function validateTileFields({ text, type, metadata, points, target, unit, dueDate, habit, visibility }, field) {
+    const errors = [];
+
+    if (text !== undefined && text !== null) {
+        if (typeof text !== 'string') {
+            errors.push({ field: `${field}.text`, message: 'Tile text must be a string' });
+        } else if (text.length > MAX_TILE_TEXT_LENGTH) {
+            errors.push({ field: `${field}.text`, message: `Tile text must be at most ${MAX_TILE_TEXT_LENGTH} characters` });
+        }
+    }
+
+    if (type !== undefined && type !== null && type !== '') {
+        if (typeof type !== 'string' || !CELL_TYPE_PATTERN.test(type)) {
+            errors.push({ field: `${field}.type`, message: 'Tile type must be a short identifier (letters, numbers, - or _)' });
+        }
+    }
+
+    if (metadata !== undefined && metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+        errors.push({ field: `${field}.metadata`, message: 'Tile metadata must be an object' });
+    }
+
+    if (points !== undefined && points !== null) {
+        if (!Number.isInteger(points) || points < 0 || points > MAX_TILE_POINTS) {
+            errors.push({ field: `${field}.points`, message: `Tile points must be a whole number from 0 to ${MAX_TILE_POINTS}` });
+        }
+    }
+
+    // Counter tiles ("read 12 books") carry a numeric target and an optional unit
+    if (target !== undefined && target !== null) {
+        if (typeof target !== 'number' || !isFinite(target) || target <= 0 || target > MAX_TILE_TARGET) {
+            errors.push({ field: `${field}.target`, message: `Tile target must be a number above 0 and at most ${MAX_TILE_TARGET}` });
+        }
+    }
+
+    if (unit !== undefined && unit !== null) {
+        if (typeof unit !== 'string' || unit.length > MAX_UNIT_LENGTH) {
+            errors.push({ field: `${field}.unit`, message: `Tile unit must be text of at most ${MAX_UNIT_LENGTH} characters` });
+        }
+    }
+
+    // Habit tiles ("meditate 3x a week") are completed by check-ins instead of a numeric target
+    if (habit !== undefined && habit !== null) {
+        errors.push(...validateHabit(habit, `${field}.habit`));
+        if (target !== undefined && target !== null) {
+            errors.push({ field: `${field}.habit`, message: 'A tile can have a target or a habit, not both' });
+        }
+    }
+
+    if (dueDate !== undefined && dueDate !== null) {
+        if (typeof dueDate !== 'string' || !DATE_PATTERN.test(dueDate) || isNaN(Date.parse(dueDate))) {
+            errors.push({ field: `${field}.dueDate`, message: 'Tile due date must be in YYYY-MM-DD format' });
+        }
+    }
+
+    if (visibility !== undefined && visibility !== null && !TILE_VISIBILITIES.includes(visibility)) {
+        errors.push({ field: `${field}.visibility`, message: `Tile visibility must be one of ${TILE_VISIBILITIES.join(', ')}` });
+    }
+
+    return errors;
+}
+
+// Validate a completion value (false/null when open, true or { completedAt, ... } when done)
+function validateCompletion(value, field) {
+    if (value === null || value === undefined || typeof value === 'boolean') {
+        return [];
+    }
+    if (typeof value === 'object' && !Array.isArray(value)) {
+        return [];
+    }
+    return [{ field, message: 'Completion must be true, false, or an object' }];
+}
+
+// Validate a whole card: size, grid and completed shapes, tile contents, title and year
+function validateCard({ size, grid, completed, title, year }) {
+    const errors = [];
+
+    if (!Number.isInteger(size) || !ALLOWED_CARD_SIZES.includes(size)) {
+        errors.push({ field: 'size', message: `Size must be one of ${ALLOWED_CARD_SIZES.join(', ')}` });
+        // Without a valid size the grid shape can't be checked
+        return errors;
+    }
+
+    if (!Array.isArray(grid) || grid.length !== size) {
+        errors.push({ field: 'grid', message: `Grid must have ${size} rows` });
+    } else {
+        grid.forEach((rowValues, row) => {
+            if (!Array.isArray(rowValues) || rowValues.length !== size) {
+                errors.push({ field: `grid[${row}]`, message: `Grid row must have ${size} tiles` });
+                return;
+            }
+            rowValues.forEach((cell, col) => {
+                errors.push(...validateCell(cell, `grid[${row}][${col}]`));
+            });
+        });
+    }
+
+    if (!Array.isArray(completed) || completed.length !== size) {
+        errors.push({ field: 'completed', message: `Completed must have ${size} rows` });
+    } else {
+        completed.forEach((rowValues, row) => {
+            if (!Array.isArray(rowValues) || rowValues.length !== size) {
+                errors.push({ field: `completed[${row}]`, message: `Completed row must have ${size} values` });
+                return;
+            }
+            rowValues.forEach((value, col) => {
+                errors.push(...validateCompletion(value, `completed[${row}][${col}]`));
+            });
+        });
+    }
+
+    errors.push(...validateCardDetails({ title, year }));
+
+    return errors;
+}
+
+// Validate a card's title and year
+function validateCardDetails({ title, year }) {
+    const errors = [];
+
+    if (title !== undefined && title !== null) {
+        if (typeof title !== 'string') {
+            errors.push({ field: 'title', message: 'Title must be a string' });
+        } else if (title.length > MAX_TITLE_LENGTH) {
+            errors.push({ field: 'title', message: `Title must be at most ${MAX_TITLE_LENGTH} characters` });
+        }
+    }
+
+    if (year !== undefined && year !== null) {
+        const parsedYear = Number(year);
+        if (!Number.isInteger(parsedYear) || parsedYear < MIN_CARD_YEAR || parsedYear > MAX_CARD_YEAR) {
+            errors.push({ field: 'year', message: `Year must be between ${MIN_CARD_YEAR} and ${MAX_CARD_YEAR}` });
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    ALLOWED_CARD_SIZES,
+    TILE_VISIBILITIES,
+    MAX_TILE_TEXT_LENGTH,
+    validateCard,
+    validateCardDetails,
+    validateTileFields
+};